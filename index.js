@@ -28,6 +28,11 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'connection error:'));
 db.once('open', () => {
     console.log('Connected to MongoDB');
+    Cow.linkPedigree().then(r=>{ if (r.linked || r.unresolved) console.log(`Pedigree links: ${r.linked} record(s) linked, ${r.unresolved} parent number(s) unresolved`); })
+        // Breed compositions use the pedigree links for calves
+        .then(()=> Breed.migrate()).then(r=>{ if (r.mapped) console.log(`Breed compositions: ${r.mapped} animal(s) mapped`); })
+        .then(()=> Calving.backfill()).then(r=>{ if (r.calvings) console.log(`Calving history: ${r.calvings} calving(s) added for ${r.cows} cow(s)`); })
+        .catch(err=> console.error('Startup migration error:', err));
 });
 
 // Define schemas
@@ -36,34 +41,70 @@ const cowSchema = new mongoose.Schema({
     cowNumber: String,
     cowName: String,
     race: String,
+    // Breed composition from the community's breed dictionary; the race text above is written from it (see Breed.label)
+    breeds: [{ breed: { type: mongoose.Schema.Types.ObjectId, ref: 'Breed' }, name: String, pct: Number }],
     dob: Date,
     lastCalving: Date,
     notes: String,
     profileImageUrl: String,
     // Pregnancy tracking removed per UI simplification
+    // Pedigree links; the mother/sire number, name and breed below are display copies (see syncParentCopies)
+    mother: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', default: null },
+    sire: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', default: null },
     motherCowNumber: String,
     motherCowName: String,
     motherCowBreed: String,
     sireBullNumber: String,
     sireBullName: String,
     sireBullBreed: String,
+    // Set when the cow leaves the herd (see ExitEvent); her records stay in place
+    exitedAt: { type: Date, default: null },
+    exitType: { type: String, enum: ['sold','culled','died','transferred',null], default: null },
+    // Set when the cow was bought in (see ArrivalEvent)
+    arrivedAt: { type: Date, default: null },
+    quarantineUntil: { type: Date, default: null },
+    // Current pen or group (see Movement for the history)
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    locationSince: { type: Date, default: null },
+    // Ration fed to this cow alone; null means she eats the ration of her location
+    ration: { type: mongoose.Schema.Types.ObjectId, ref: 'Ration', default: null },
+    rationSince: { type: Date, default: null },
 });
 
 const calfSchema = new mongoose.Schema({
     community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
     calfName: { type: String, required: true },
     calfBreed: { type: String, required: true },
+    // Breed composition from the community's breed dictionary; calfBreed above is written from it (see Breed.label)
+    breeds: [{ breed: { type: mongoose.Schema.Types.ObjectId, ref: 'Breed' }, name: String, pct: Number }],
     birthDate: { type: Date, required: true },
     gender: { type: String, enum: ['male','female'], required: true },
     status: { type: String, enum: ['alive','miscarriage','died'], default: 'alive' },
     notes: { type: String },
     profileImageUrl: String,
+    // Pedigree links; the mother/sire number, name and breed below are display copies (see syncParentCopies)
+    mother: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', default: null },
+    sire: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', default: null },
     motherCowNumber: String,
     motherCowName: String,
     motherCowBreed: String,
     sireBullNumber: String,
     sireBullName: String,
     sireBullBreed: String,
+    birthWeightKg: Number,
+    // Birth details recorded at calving
+    calvingEase: { type: Number, min: 1, max: 5 }, // 1 unassisted, 2 easy pull, 3 hard pull, 4 caesarean, 5 malpresentation/fetotomy
+    presentation: { type: String, enum: ['anterior','posterior','breech','other',null], default: null },
+    colostrumHours: Number, // hours from birth to the first colostrum feed
+    colostrumQuality: { type: String, enum: ['good','fair','poor',null], default: null }, // Brix >=22% good, 18-22% fair
+    birthCount: { type: Number, default: 1 }, // calves born at the same calving (2 twins, 3 triplets)
+    freemartin: { type: Boolean, default: false }, // heifer born co-twin to a bull calf; usually infertile
+    // Set when the calf was bought in (see ArrivalEvent); carried over at graduation
+    arrivedAt: { type: Date, default: null },
+    quarantineUntil: { type: Date, default: null },
+    // Current pen or group (see Movement for the history)
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    locationSince: { type: Date, default: null },
     // Graduation to adult records
     graduated: { type: Boolean, default: false },
     graduatedAt: { type: Date, default: null },
@@ -76,9 +117,14 @@ const bullSchema = new mongoose.Schema({
     bullNumber: String,
     bullName: String,
     race: String,
+    // Breed composition from the community's breed dictionary; the race text above is written from it (see Breed.label)
+    breeds: [{ breed: { type: mongoose.Schema.Types.ObjectId, ref: 'Breed' }, name: String, pct: Number }],
     dob: Date,
     notes: String,
     profileImageUrl: String,
+    // Pedigree links; the mother/sire number, name and breed below are display copies (see syncParentCopies)
+    mother: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', default: null },
+    sire: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', default: null },
     motherCowNumber: String,
     motherCowName: String,
     motherCowBreed: String,
@@ -87,11 +133,20 @@ const bullSchema = new mongoose.Schema({
     sireBullBreed: String,
     // Mark AI/seminal catalog bulls (no parents, used for insemination only)
     isInsemination: { type: Boolean, default: false },
+    // Set when the bull leaves the herd (see ExitEvent); his records stay in place
+    exitedAt: { type: Date, default: null },
+    exitType: { type: String, enum: ['sold','culled','died','transferred',null], default: null },
+    // Set when the bull was bought in (see ArrivalEvent)
+    arrivedAt: { type: Date, default: null },
+    quarantineUntil: { type: Date, default: null },
+    // Current pen or group (see Movement for the history)
+    location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    locationSince: { type: Date, default: null },
 });
 
 // Basic insemination record (re-introduced for viewer profile calculations)
 // A simple structure: which cow, when, and whether pregnancy was confirmed.
-// Future enhancements could add technician, method, dose id, etc.
+// Sire/straw/technician describe the service itself; the sire fields are copied to the calf at calving.
 const inseminationSchema = new mongoose.Schema({
     community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
     cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true },
@@ -100,6 +155,24 @@ const inseminationSchema = new mongoose.Schema({
     failed: { type: Boolean, default: false }, // manual failure marker
     forced: { type: Boolean, default: false }, // distinguishes forced override attempts
     notes: String,
+    // Service sire (herd bull or AI catalog bull); number/name/breed kept for display and legacy number-based links
+    sireBull: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', default: null },
+    sireBullNumber: String,
+    sireBullName: String,
+    sireBullBreed: String,
+    strawCode: String, // semen straw / batch code
+    technician: String,
+    semenBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'SemenBatch', default: null }, // inventory batch the straw was taken from
+    // Loss of a confirmed pregnancy (abortion / embryonic death); the attempt is then marked failed
+    pregnancyLoss: {
+        type: new mongoose.Schema({
+            date: { type: Date, required: true },
+            gestationDay: Number, // days from conception to loss
+            cause: { type: String, enum: ['unknown','infection','nutrition','toxin','trauma','heatStress','twins','other'], default: 'unknown' },
+            notes: String,
+        }, { _id: false }),
+        default: undefined,
+    },
 }, { timestamps: true });
 
 const settingsSchema = new mongoose.Schema({
@@ -121,11 +194,26 @@ const settingsSchema = new mongoose.Schema({
     inseminationAlertBeforeDays: Number,
     graduationAlertBeforeDays: Number,
     weaningAlertBeforeDays: Number,
+    semenLowStockStraws: Number, // alert when a bull's straws in stock fall to this level
+    inbreedingWarnPercent: Number, // warn when a mating's expected inbreeding reaches this level (6.25 = first cousins); 0 turns the warning off
+    // Selection index the mating advisor ranks sires by: weight per genetic evaluation trait
+    geneticIndex: [{ _id: false, trait: String, weight: Number }],
+    heatAlertBeforeDays: Number,
+    heatCycleDays: Number, // estrous cycle length used to predict the next heat
+    protocolAlertBeforeDays: Number,
+    herdHealthAlertBeforeDays: Number,
+    sccAlertThreshold: Number, // high SCC alert level, x1000 cells/mL
+    mastitisRepeatCases: Number, // clinical cases within 12 months that raise a repeat-mastitis alert
+    bcsLossAlertPoints: Number, // BCS points lost since calving that flag a cow
+    quarantineDays: Number, // default quarantine after an animal arrives
+    feedLowStockDays: Number, // alert when a feed ingredient's stock lasts this many days or fewer
 
     // Calf management
     // Separate weaning days by sex
     femaleWeaningDays: Number,
     maleWeaningDays: Number,
+    calfTargetBirthWeightKg: Number, // start of the growth curve when a calf has no birth weight
+    calfTargetAdgKg: Number, // target average daily gain for the calf growth curve
     // Legacy shared weaning days retained for backward compatibility
     weaningDays: Number,
     // Maturity thresholds (calf -> cow/bull) in months
@@ -137,6 +225,43 @@ const settingsSchema = new mongoose.Schema({
     maleSellAgeMonths: Number,
 });
 
+// Migration: resolve the mother/sire numbers of records saved before the pedigree links into links,
+// matching numbers within the record's own community. Numbers used by two animals of a community are
+// left unresolved. Safe to rerun: only records with a number and no link are looked at.
+cowSchema.statics.linkPedigree = async function(filter = {}){
+    const key = (community, number)=> `${community || ''}|${number}`;
+    const byNumber = (docs, field)=>{
+        const map = new Map();
+        for (const d of docs){ const k = key(d.community, d[field]); map.set(k, map.has(k) ? null : d._id); }
+        return map;
+    };
+    const [cows, bulls] = await Promise.all([
+        Cow.find({ ...filter, cowNumber: { $nin: [null, ''] } }).select('cowNumber community').lean(),
+        Bull.find({ ...filter, bullNumber: { $nin: [null, ''] } }).select('bullNumber community').lean(),
+    ]);
+    const cowByNumber = byNumber(cows, 'cowNumber'), bullByNumber = byNumber(bulls, 'bullNumber');
+    let linked = 0, unresolved = 0;
+    for (const Model of [Cow, Bull, Calf]){
+        const docs = await Model.find({ ...filter, $or: [
+            { mother: null, motherCowNumber: { $nin: [null, ''] } },
+            { sire: null, sireBullNumber: { $nin: [null, ''] } },
+        ] }).select('community mother sire motherCowNumber sireBullNumber').lean();
+        for (const d of docs){
+            const set = {};
+            if (!d.mother && d.motherCowNumber){
+                const id = cowByNumber.get(key(d.community, d.motherCowNumber));
+                if (id && String(id) !== String(d._id)) set.mother = id; else unresolved++;
+            }
+            if (!d.sire && d.sireBullNumber){
+                const id = bullByNumber.get(key(d.community, d.sireBullNumber));
+                if (id && String(id) !== String(d._id)) set.sire = id; else unresolved++;
+            }
+            if (Object.keys(set).length){ await Model.updateOne({ _id: d._id }, set); linked++; }
+        }
+    }
+    return { linked, unresolved };
+};
+
 // Create models
 const Cow = mongoose.model('Cow', cowSchema);
 const Calf = mongoose.model('Calf', calfSchema);
@@ -147,11 +272,17 @@ const confirmationSchema = new mongoose.Schema({
     community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
     entityType: { type: String, enum: ['cow','calf','bull'], required: true },
     entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
-    type: { type: String, required: true }, // 'calving','dryOff','changeFeed','pregnancyCheck','insemination','graduation'
+    type: { type: String, required: true }, // 'calving','dryOff','changeFeed','pregnancyCheck','insemination','graduation','protocol','herdHealth'
     when: { type: Date, required: true }, // event date
     alertOn: { type: Date },
     note: String,
     undone: { type: Boolean, default: false },
+    // Ration switch made by a change-feed confirmation, reverted on undo
+    rationSwitched: { type: Boolean, default: false },
+    rationFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Ration', default: null },
+    rationTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Ration', default: null },
+    // Move made with the confirmation (moveTo), undone with it while it is still the latest move
+    movement: { type: mongoose.Schema.Types.ObjectId, ref: 'Movement', default: null },
 }, { timestamps: true });
 const Confirmation = mongoose.model('Confirmation', confirmationSchema);
 const Cattle = require('./models/cattle');
@@ -167,11 +298,1268 @@ const auditSchema = new mongoose.Schema({
     payload: { type: Object }, // arbitrary details/snapshots for restore
 }, { timestamps: true });
 const Audit = mongoose.model('Audit', auditSchema);
+// Semen inventory: tanks (with canisters) hold purchase batches of straws for a bull
+const semenTankSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    location: String,
+    canisters: [String], // canister labels inside the tank
+    notes: String,
+}, { timestamps: true });
+const SemenTank = mongoose.model('SemenTank', semenTankSchema);
+const semenBatchSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    bull: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', required: true, index: true },
+    bullNumber: String,
+    bullName: String,
+    tank: { type: mongoose.Schema.Types.ObjectId, ref: 'SemenTank', default: null },
+    canister: String,
+    batchCode: String, // printed straw/batch code, matched against insemination strawCode
+    supplier: String,
+    purchaseDate: Date,
+    strawsPurchased: { type: Number, default: 0 },
+    strawsRemaining: { type: Number, default: 0 },
+    costPerStraw: Number,
+    notes: String,
+}, { timestamps: true });
+const SemenBatch = mongoose.model('SemenBatch', semenBatchSchema);
+// Heat (estrus) observations recorded by staff
+const heatSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    date: { type: Date, required: true },
+    sign: { type: String, enum: ['standing','mounting','mucus','restless','bellowing','swollenVulva','other'], default: 'standing' },
+    intensity: { type: String, enum: ['weak','moderate','strong'], default: 'moderate' },
+    observer: String,
+    notes: String,
+}, { timestamps: true });
+const Heat = mongoose.model('Heat', heatSchema);
+// Pregnancy diagnosis (vet check) on an insemination; a recheck may find the pregnancy lost
+const pregnancyCheckSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    insemination: { type: mongoose.Schema.Types.ObjectId, ref: 'Insemination', default: null },
+    date: { type: Date, required: true },
+    method: { type: String, enum: ['palpation','ultrasound','bloodPAG'], default: 'palpation' },
+    result: { type: String, enum: ['pregnant','open','lost'], required: true },
+    vet: String,
+    fetalAgeDays: Number, // estimated fetal age at the check date
+    twins: { type: Boolean, default: false },
+    recheck: { type: Boolean, default: false }, // a later check of an already diagnosed pregnancy
+    notes: String,
+}, { timestamps: true });
+const PregnancyCheck = mongoose.model('PregnancyCheck', pregnancyCheckSchema);
+// Estrus synchronization protocol templates (defined by community admins), e.g. Ovsynch, CIDR
+const syncProtocolSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    description: String,
+    steps: [{
+        day: { type: Number, required: true }, // days after enrollment start (day 0)
+        action: { type: String, required: true }, // e.g. 'GnRH','PGF','CIDR in','CIDR out','Timed AI'
+        timedAI: { type: Boolean, default: false }, // confirming this step records the insemination
+    }],
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+const SyncProtocol = mongoose.model('SyncProtocol', syncProtocolSchema);
+// A cow enrolled on a protocol; steps are copied from the template with their dates
+const protocolEnrollmentSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    protocol: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncProtocol' },
+    protocolName: String,
+    startDate: { type: Date, required: true },
+    groupLabel: String, // set when enrolled together with other cows
+    // Planned service for the timed-AI step
+    sireBull: { type: mongoose.Schema.Types.ObjectId, ref: 'Bull', default: null },
+    sireBullNumber: String,
+    sireBullName: String,
+    sireBullBreed: String,
+    technician: String,
+    steps: [{
+        day: Number,
+        action: String,
+        timedAI: { type: Boolean, default: false },
+        date: { type: Date, required: true },
+        done: { type: Boolean, default: false },
+        confirmation: { type: mongoose.Schema.Types.ObjectId, ref: 'Confirmation', default: null },
+        insemination: { type: mongoose.Schema.Types.ObjectId, ref: 'Insemination', default: null },
+    }],
+    status: { type: String, enum: ['active','completed','cancelled'], default: 'active', index: true },
+}, { timestamps: true });
+const ProtocolEnrollment = mongoose.model('ProtocolEnrollment', protocolEnrollmentSchema);
+// One document per calving; cow.lastCalving mirrors the latest one
+const calvingSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    date: { type: Date, required: true },
+    insemination: { type: mongoose.Schema.Types.ObjectId, ref: 'Insemination', default: null }, // service that led to it
+    calves: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Calf' }],
+    calvingEase: { type: Number, min: 1, max: 5 }, // hardest score among the calves
+    sireBullNumber: String,
+    sireBullName: String,
+    notes: String,
+    source: { type: String, enum: ['recorded','manual','backfill','import'], default: 'recorded' },
+}, { timestamps: true });
+// Calving ease scores of 3 (hard pull) and above count as difficult
+const DIFFICULT_CALVING_EASE = 3;
+// Parity (lactation number), age at first calving, calving intervals in days and calving ease
+calvingSchema.statics.summarize = function(cow, calvings){
+    const dates = (calvings || []).map(c => new Date(c.date)).filter(d => !isNaN(d.getTime())).sort((a,b)=> a - b);
+    const dayMs = 24*60*60*1000;
+    const intervals = dates.slice(1).map((d, i) => Math.round((d - dates[i]) / dayMs));
+    const dob = cow && cow.dob ? new Date(cow.dob) : null;
+    const scored = (calvings || []).filter(c => typeof c.calvingEase === 'number').sort((a,b)=> new Date(a.date) - new Date(b.date));
+    return {
+        parity: dates.length,
+        firstCalving: dates[0] || null,
+        ageAtFirstCalvingDays: (dates[0] && dob && !isNaN(dob.getTime())) ? Math.round((dates[0] - dob) / dayMs) : null,
+        calvingIntervalDays: intervals.length ? intervals[intervals.length - 1] : null,
+        avgCalvingIntervalDays: intervals.length ? Math.round(intervals.reduce((s, v) => s + v, 0) / intervals.length) : null,
+        easeScored: scored.length,
+        avgCalvingEase: scored.length ? Math.round(scored.reduce((s, c) => s + c.calvingEase, 0) / scored.length * 10) / 10 : null,
+        lastCalvingEase: scored.length ? scored[scored.length - 1].calvingEase : null,
+        difficultCalvings: scored.filter(c => c.calvingEase >= DIFFICULT_CALVING_EASE).length,
+        multipleBirths: (calvings || []).filter(c => (c.calves || []).length > 1).length,
+    };
+};
+// Migration: add a calving record for each calving date recorded before the history existed.
+// Dates come from lastCalving, calving audits and calves born to the cow; dates within 60 days of
+// each other are one calving (twins, corrected entries). Safe to rerun: a date within 60 days of a
+// calving the cow already has is left alone.
+calvingSchema.statics.backfill = async function(filter = {}){
+    const sameCalving = 60*24*60*60*1000;
+    const [cows, recorded, audits, calves] = await Promise.all([
+        Cow.find(filter).select('lastCalving community').lean(),
+        this.find(filter).select('cowId date').lean(),
+        Audit.find({ action:'cow.calving.set', ...filter }).lean(),
+        Calf.find({ status: { $ne:'miscarriage' }, mother: { $ne: null }, ...filter }).select('mother birthDate').lean(),
+    ]);
+    let created = 0, cowsUpdated = 0;
+    for (const cow of cows){
+        const found = [];
+        if (cow.lastCalving) found.push({ date: new Date(cow.lastCalving) });
+        audits.filter(a => String(a.cowId) === String(cow._id) && a.payload && a.payload.to).forEach(a => found.push({ date: new Date(a.payload.to), calf: a.payload.calfId || null }));
+        calves.filter(k => String(k.mother) === String(cow._id)).forEach(k => found.push({ date: new Date(k.birthDate), calf: k._id }));
+        const entries = [];
+        found.filter(f => !isNaN(f.date.getTime())).sort((a,b)=> a.date - b.date).forEach(f => {
+            const last = entries[entries.length - 1];
+            if (last && (f.date - last.date) < sameCalving){
+                if (f.calf && !last.calves.some(c => String(c) === String(f.calf))) last.calves.push(f.calf);
+            } else {
+                entries.push({ date: f.date, calves: f.calf ? [f.calf] : [] });
+            }
+        });
+        const have = recorded.filter(c => String(c.cowId) === String(cow._id)).map(c => new Date(c.date));
+        const missing = entries.filter(e => !have.some(h => Math.abs(e.date - h) < sameCalving));
+        if (!missing.length) continue;
+        await this.insertMany(missing.map(e => ({ cowId: cow._id, date: e.date, calves: e.calves, source:'backfill', community: cow.community || null })));
+        created += missing.length; cowsUpdated++;
+    }
+    return { cows: cowsUpdated, calvings: created };
+};
+const Calving = mongoose.model('Calving', calvingSchema);
+// Milk recording: one test-day (or daily) yield per cow per day
+const milkRecordSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    date: { type: Date, required: true }, // recording day (UTC midnight)
+    amKg: Number,
+    pmKg: Number,
+    fatPct: Number,
+    proteinPct: Number,
+    notes: String,
+}, { timestamps: true });
+// Current lactation from a cow's milk records. Days in milk count from the latest calving on or
+// before each record. Yield to date uses the test-interval method; the 305-day projection adds
+// Wood's curve (y = a·t^b·e^-ct, fitted on the test days) for the days not yet milked, or the
+// last test yield when there are too few tests for a sensible fit.
+milkRecordSchema.statics.lactation = function(records, calvingDates, now = new Date()){
+    const dayMs = 24*60*60*1000;
+    const calvings = (calvingDates || []).map(d => new Date(d)).filter(d => d && !isNaN(d.getTime())).sort((a,b)=> a - b)
+        .filter((d, i, all) => i === 0 || d.getTime() !== all[i-1].getTime());
+    const total = r => (Number(r.amKg) || 0) + (Number(r.pmKg) || 0);
+    const items = (records || []).map(r => {
+        const d = new Date(r.date);
+        const calving = calvings.filter(c => c <= d).pop() || null;
+        return { ...r, totalKg: Math.round(total(r) * 10) / 10, dim: calving ? Math.floor((d - calving) / dayMs) : null, calving };
+    }).sort((a,b)=> new Date(a.date) - new Date(b.date));
+    const calving = calvings[calvings.length - 1] || null;
+    const result = { items, calving, lactationNumber: calvings.length, dim: calving ? Math.floor((now - calving) / dayMs) : null,
+        tests: 0, lastKg: null, lastDate: null, peakKg: null, peakDim: null, fatPct: null, proteinPct: null,
+        yieldToDateKg: null, projected305Kg: null, projectionMethod: null, curve: [], points: [] };
+    if (!calving) return result;
+    const points = items.filter(r => r.calving && r.calving.getTime() === calving.getTime() && r.dim >= 1 && r.totalKg > 0);
+    result.points = points.map(r => ({ dim: r.dim, kg: r.totalKg, date: r.date }));
+    result.tests = points.length;
+    if (!points.length) return result;
+    const last = points[points.length - 1];
+    const peak = points.reduce((p, r) => r.totalKg > p.totalKg ? r : p, points[0]);
+    Object.assign(result, { lastKg: last.totalKg, lastDate: last.date, peakKg: peak.totalKg, peakDim: peak.dim });
+    // Yield-weighted components
+    const weighted = key => {
+        const rs = points.filter(r => Number(r[key]) > 0);
+        const kg = rs.reduce((s, r) => s + r.totalKg, 0);
+        return kg ? Math.round(rs.reduce((s, r) => s + r.totalKg * Number(r[key]), 0) / kg * 100) / 100 : null;
+    };
+    result.fatPct = weighted('fatPct'); result.proteinPct = weighted('proteinPct');
+    // Test-interval method up to day 305: the first test stands for the days since calving,
+    // later intervals take the average of their two tests
+    const within = points.filter(r => r.dim <= 305);
+    let toDate = 0;
+    within.forEach((r, i) => { toDate += i === 0 ? r.totalKg * r.dim : (r.totalKg + within[i-1].totalKg) / 2 * (r.dim - within[i-1].dim); });
+    result.yieldToDateKg = Math.round(toDate);
+    // Least-squares fit of ln y = ln a + b ln t - c t
+    let wood = null;
+    if (new Set(points.map(r => r.dim)).size >= 3){
+        const rows = points.map(r => [1, Math.log(r.dim), -r.dim, Math.log(r.totalKg)]);
+        const m = [0,1,2].map(i => [0,1,2,3].map(j => rows.reduce((s, x) => s + x[i] * x[j], 0)));
+        let singular = false;
+        for (let i = 0; i < 3 && !singular; i++){
+            const p = m.slice(i).reduce((best, row, k) => Math.abs(row[i]) > Math.abs(m[best][i]) ? i + k : best, i);
+            [m[i], m[p]] = [m[p], m[i]];
+            if (Math.abs(m[i][i]) < 1e-9){ singular = true; break; }
+            for (let k = 0; k < 3; k++){ if (k !== i){ const f = m[k][i] / m[i][i]; for (let j = i; j < 4; j++) m[k][j] -= f * m[i][j]; } }
+        }
+        if (!singular){
+            const [lnA, b, c] = [0,1,2].map(i => m[i][3] / m[i][i]);
+            // Only a rising-then-declining curve is a plausible lactation
+            if (b > 0 && c > 0 && isFinite(lnA)) wood = { a: Math.exp(lnA), b, c };
+        }
+    }
+    const curveAt = t => wood ? wood.a * Math.pow(t, wood.b) * Math.exp(-wood.c * t) : last.totalKg;
+    let rest = 0;
+    for (let t = (within.length ? within[within.length - 1].dim : 305) + 1; t <= 305; t++) rest += curveAt(t);
+    result.projected305Kg = Math.round(toDate + rest);
+    result.projectionMethod = wood ? 'wood' : 'lastTest';
+    if (wood){
+        const end = Math.max(305, last.dim);
+        for (let t = 5; t <= end; t += 5) result.curve.push({ dim: t, kg: Math.round(curveAt(t) * 10) / 10 });
+    }
+    return result;
+};
+const MilkRecord = mongoose.model('MilkRecord', milkRecordSchema);
+// Udder health: somatic cell count tests (composite and/or per quarter) and clinical mastitis cases
+const UDDER_QUARTERS = ['LF','RF','LR','RR'];
+const sccTestSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    date: { type: Date, required: true },
+    scc: Number, // composite cow SCC, x1000 cells/mL
+    quarters: { LF: Number, RF: Number, LR: Number, RR: Number }, // per-quarter SCC, x1000 cells/mL
+    method: { type: String, enum: ['lab','inline','cmt'], default: 'lab' },
+    notes: String,
+}, { timestamps: true });
+const SccTest = mongoose.model('SccTest', sccTestSchema);
+const mastitisCaseSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    cowId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cow', required: true, index: true },
+    date: { type: Date, required: true },
+    quarters: [{ type: String, enum: UDDER_QUARTERS }],
+    severity: { type: String, enum: ['mild','moderate','severe'], default: 'mild' }, // abnormal milk / swollen quarter / sick cow
+    pathogen: { type: String, enum: ['unknown','staphAureus','strepAgalactiae','strepUberis','strepDysgalactiae','eColi','klebsiella','cns','mycoplasma','noGrowth','other'], default: 'unknown' },
+    treatment: String,
+    outcome: { type: String, enum: ['ongoing','cured','chronic','quarterLost','culled','died'], default: 'ongoing' },
+    outcomeDate: Date,
+    notes: String,
+}, { timestamps: true });
+const MastitisCase = mongoose.model('MastitisCase', mastitisCaseSchema);
+// Veterinary treatments for any animal; withdrawal end dates are stored so active withdrawals can be queried
+const treatmentSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull','calf'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    date: { type: Date, required: true },
+    diagnosis: String,
+    drug: { type: String, required: true },
+    dose: String, // amount with unit, e.g. '20 mL'
+    route: { type: String, enum: ['IM','IV','SC','oral','intramammary','intrauterine','topical','other'], default: 'IM' },
+    vet: String,
+    milkWithdrawalDays: { type: Number, default: 0 },
+    meatWithdrawalDays: { type: Number, default: 0 },
+    milkWithdrawalUntil: Date, // last day milk must not be shipped
+    meatWithdrawalUntil: Date, // last day the animal must not be slaughtered or sold for meat
+    mastitisCase: { type: mongoose.Schema.Types.ObjectId, ref: 'MastitisCase', default: null },
+    notes: String,
+}, { timestamps: true });
+// Latest milk and meat withdrawal end per animal ('type:id') among treatments still running on `now`
+treatmentSchema.statics.activeWithdrawals = function(treatments, now = new Date()){
+    const today = new Date(now); today.setHours(0,0,0,0);
+    const map = new Map();
+    for (const t of (treatments || [])){
+        const milk = t.milkWithdrawalUntil && new Date(t.milkWithdrawalUntil) >= today ? new Date(t.milkWithdrawalUntil) : null;
+        const meat = t.meatWithdrawalUntil && new Date(t.meatWithdrawalUntil) >= today ? new Date(t.meatWithdrawalUntil) : null;
+        if (!milk && !meat) continue;
+        const key = `${t.entityType}:${t.entityId}`;
+        const cur = map.get(key) || { entityType: t.entityType, entityId: String(t.entityId), milkUntil: null, meatUntil: null, drugs: [] };
+        if (milk && (!cur.milkUntil || milk > cur.milkUntil)) cur.milkUntil = milk;
+        if (meat && (!cur.meatUntil || meat > cur.meatUntil)) cur.meatUntil = meat;
+        if (!cur.drugs.includes(t.drug)) cur.drugs.push(t.drug);
+        map.set(key, cur);
+    }
+    return map;
+};
+const Treatment = mongoose.model('Treatment', treatmentSchema);
+// Vaccination/deworming programs (defined by community admins) for one animal class.
+// A course is the first dose plus boosters; after the course the dose repeats every repeatEveryDays.
+const healthProgramSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    kind: { type: String, enum: ['vaccination','deworming'], default: 'vaccination' },
+    product: String, // default product given, e.g. 'Bovilis BVD'
+    animalClass: { type: String, enum: ['calf','cow','bull'], required: true },
+    sex: { type: String, enum: ['any','female','male'], default: 'any' }, // calves only
+    firstDoseAgeDays: { type: Number, default: null }, // age at the first dose; empty = due from the start date
+    boosterDays: [Number], // days after the previous dose, one entry per booster
+    repeatEveryDays: { type: Number, default: null }, // e.g. 365 for a yearly dose; empty = one course only
+    startDate: { type: Date, default: Date.now }, // nothing falls due before the program existed
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+healthProgramSchema.statics.appliesTo = function(program, entityType, animal){
+    if (program.active === false || program.animalClass !== entityType || !animal) return false;
+    if (entityType === 'calf'){
+        if (animal.graduated || (animal.status && animal.status !== 'alive')) return false;
+        if (program.sex && program.sex !== 'any' && animal.gender !== program.sex) return false;
+    }
+    return true;
+};
+// Next dose of a program for an animal given the doses already recorded under it: { date, doseNumber, booster }
+healthProgramSchema.statics.nextDue = function(program, animal, doses){
+    const given = (doses || []).slice().sort((a,b)=> new Date(a.date) - new Date(b.date));
+    const boosters = program.boosterDays || [];
+    if (!given.length){
+        const start = program.startDate ? new Date(program.startDate) : null;
+        let date = start;
+        if (program.firstDoseAgeDays != null){
+            const birth = animal.birthDate || animal.dob;
+            if (!birth) return null;
+            date = new Date(birth); date.setDate(date.getDate() + program.firstDoseAgeDays);
+            if (start && start > date) date = start;
+        }
+        return date ? { date, doseNumber: 1, booster: false } : null;
+    }
+    const last = new Date(given[given.length-1].date);
+    const n = given.length;
+    let gap = null;
+    if (n <= boosters.length) gap = boosters[n-1];
+    else if (program.repeatEveryDays) gap = program.repeatEveryDays;
+    if (gap == null) return null;
+    const date = new Date(last); date.setDate(date.getDate() + gap);
+    return { date, doseNumber: n + 1, booster: n <= boosters.length };
+};
+const HealthProgram = mongoose.model('HealthProgram', healthProgramSchema);
+// A dose given under a program; doses recorded from an alert point at their Confirmation for undo
+const healthDoseSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    program: { type: mongoose.Schema.Types.ObjectId, ref: 'HealthProgram', required: true, index: true },
+    programName: String,
+    kind: String,
+    entityType: { type: String, enum: ['cow','bull','calf'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    date: { type: Date, required: true },
+    dueDate: Date,
+    doseNumber: Number,
+    product: String,
+    batchNumber: String,
+    givenBy: String,
+    notes: String,
+    confirmation: { type: mongoose.Schema.Types.ObjectId, ref: 'Confirmation', default: null },
+}, { timestamps: true });
+const HealthDose = mongoose.model('HealthDose', healthDoseSchema);
+// Dated weight and body condition score (BCS, 1-5 in quarter points) for any animal
+const bodyRecordSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull','calf'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    date: { type: Date, required: true },
+    weightKg: { type: Number, min: 0 },
+    bcs: { type: Number, min: 1, max: 5 },
+    notes: String,
+}, { timestamps: true });
+// Calf growth from its weighings (plus birth weight) against a linear target curve.
+// target: { birthKg, adgKg, weaningDays }. The weaning weight is interpolated between the weighings
+// around weaning age, or carried from one weighing within 30 days of it using the calf's ADG.
+bodyRecordSchema.statics.growth = function(records, calf, target, now = new Date()){
+    const DAY = 24*60*60*1000;
+    const birth = calf && calf.birthDate ? new Date(calf.birthDate) : null;
+    const round = (v, dp) => v === null || v === undefined || !Number.isFinite(v) ? null : Number(v.toFixed(dp));
+    const points = birth ? (records || []).filter(r => r.weightKg > 0)
+        .map(r => ({ date: new Date(r.date), age: Math.round((new Date(r.date) - birth) / DAY), kg: r.weightKg }))
+        .filter(p => p.age >= 0).sort((a,b)=> a.age - b.age) : [];
+    if (birth && calf.birthWeightKg > 0 && !points.some(p => p.age === 0)) points.unshift({ date: birth, age: 0, kg: calf.birthWeightKg });
+    const ageDays = birth ? Math.floor((now - birth) / DAY) : null;
+    const adg = (a, b) => a && b && b.age > a.age ? (b.kg - a.kg) / (b.age - a.age) : null;
+    const first = points[0], last = points[points.length-1];
+    const startKg = calf && calf.birthWeightKg > 0 ? calf.birthWeightKg : target.birthKg;
+    const targetAt = age => startKg + target.adgKg * age;
+    const wd = target.weaningDays;
+    let weaningKg = null;
+    const before = [...points].reverse().find(p => p.age <= wd), after = points.find(p => p.age >= wd);
+    if (before && after) weaningKg = after.age > before.age ? before.kg + (after.kg - before.kg) * (wd - before.age) / (after.age - before.age) : before.kg;
+    else if (ageDays !== null && ageDays >= wd){
+        const near = before || after; const rate = adg(first, last);
+        if (near && rate !== null && Math.abs(near.age - wd) <= 30) weaningKg = near.kg + rate * (wd - near.age);
+    }
+    return {
+        points,
+        ageDays,
+        latestKg: last ? last.kg : null,
+        latestAge: last ? last.age : null,
+        adgKg: round(adg(first, last), 2),
+        recentAdgKg: round(adg(points[points.length-2], last), 2),
+        targetAdgKg: target.adgKg,
+        startKg,
+        targetNowKg: last ? round(targetAt(last.age), 1) : null,
+        weaningDays: wd,
+        weaningKg: round(weaningKg, 1),
+        targetWeaningKg: round(targetAt(wd), 1),
+        belowTarget: weaningKg !== null && weaningKg < targetAt(wd),
+    };
+};
+// Growth target for a calf from the herd settings; weaning age depends on the calf's sex
+bodyRecordSchema.statics.growthTarget = function(calf, settings){
+    return {
+        birthKg: settings?.calfTargetBirthWeightKg ?? 40,
+        adgKg: settings?.calfTargetAdgKg ?? 0.8,
+        weaningDays: calf && calf.gender === 'male' ? (settings?.maleWeaningDays ?? 180) : (settings?.femaleWeaningDays ?? 180),
+    };
+};
+// Body condition since the given calving: the score at calving (highest from 30 days before to
+// 7 days after, else the first one after) against the latest score
+bodyRecordSchema.statics.condition = function(records, calvingDate){
+    const DAY = 24*60*60*1000;
+    const scored = (records || []).filter(r => r.bcs > 0).map(r => ({ date: new Date(r.date), bcs: r.bcs })).sort((a,b)=> a.date - b.date);
+    const latest = scored[scored.length-1] || null;
+    const out = { latestBcs: latest ? latest.bcs : null, latestDate: latest ? latest.date : null, calvingBcs: null, lowestBcs: null, lossPoints: null };
+    if (!calvingDate) return out;
+    const calving = new Date(calvingDate);
+    const around = scored.filter(s => s.date >= calving - 30*DAY && s.date <= calving.getTime() + 7*DAY);
+    const base = around.length ? around.reduce((m, s)=> s.bcs > m.bcs ? s : m) : scored.find(s => s.date >= calving);
+    if (!base) return out;
+    out.calvingBcs = base.bcs;
+    const since = scored.filter(s => s.date > base.date);
+    if (!since.length) return out;
+    out.lowestBcs = Math.min(...since.map(s => s.bcs));
+    out.lossPoints = Number((base.bcs - latest.bcs).toFixed(2));
+    return out;
+};
+const BodyRecord = mongoose.model('BodyRecord', bodyRecordSchema);
+// Exit of an adult animal from the herd. The animal keeps its profile, lineage and history;
+// exitedAt/exitType on the cow or bull mirror the current exit so active lists can skip it.
+const exitEventSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    entityNumber: String, // snapshot for the reports
+    entityName: String,
+    type: { type: String, enum: ['sold','culled','died','transferred'], required: true },
+    date: { type: Date, required: true },
+    reason: { type: String, default: null },
+    buyer: String, // buyer, abattoir or receiving farm
+    price: Number,
+    notes: String,
+}, { timestamps: true });
+// Reason codes for culls, deaths and sales, grouped in the cull-reason report
+exitEventSchema.statics.reasons = {
+    infertility: 'Infertility / not in calf',
+    mastitis: 'Mastitis / high SCC',
+    udder: 'Udder conformation',
+    lowYield: 'Low milk yield',
+    lameness: 'Lameness / feet and legs',
+    metabolic: 'Metabolic disease',
+    disease: 'Other disease',
+    calving: 'Calving difficulty',
+    injury: 'Injury / accident',
+    age: 'Old age',
+    temperament: 'Temperament',
+    dairySale: 'Sold for breeding / dairy',
+    surplus: 'Surplus stock',
+    unknown: 'Unknown',
+    other: 'Other',
+};
+const ExitEvent = mongoose.model('ExitEvent', exitEventSchema);
+// Purchase of an animal from another herd. arrivedAt/quarantineUntil on the animal mirror it so
+// alerts and the lineage graph can tell bought animals apart without a lookup.
+const arrivalEventSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull','calf'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    entityNumber: String, // snapshot for the lists
+    entityName: String,
+    seller: String,
+    originHerd: String, // herd number or name of the farm of origin
+    price: Number,
+    arrivalDate: { type: Date, required: true },
+    quarantineUntil: { type: Date, default: null },
+    healthCertificateUrl: String,
+    healthCertificateName: String, // original file name of the upload
+    notes: String,
+}, { timestamps: true });
+const ArrivalEvent = mongoose.model('ArrivalEvent', arrivalEventSchema);
+// Pens, paddocks and management groups of a farm. The purpose ties a location to the
+// reproduction events that call for a move (see Location.moveFor).
+const locationSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    kind: { type: String, enum: ['pen','paddock','group'], default: 'pen' },
+    purpose: { type: String, default: 'other' },
+    capacity: Number, // head
+    ration: { type: mongoose.Schema.Types.ObjectId, ref: 'Ration', default: null }, // fed to every animal here
+    // Paddocks only: area and the rotation plan (see GrazingEvent)
+    areaHa: Number,
+    restDays: Number, // rest after a grazing before the paddock can be grazed again
+    grazeDays: Number, // planned days per grazing
+    notes: String,
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+locationSchema.statics.purposes = {
+    fresh: 'Fresh cows',
+    highProducing: 'High producing',
+    lowProducing: 'Low producing',
+    closeUp: 'Close-up / transition',
+    dry: 'Dry cows',
+    heifers: 'Heifers',
+    calves: 'Calves',
+    bulls: 'Bulls',
+    sick: 'Sick / hospital',
+    other: 'Other',
+};
+// Purpose of the group a cow should move to when the alert of this type is due
+locationSchema.statics.moveFor = { dryOff: 'dry', changeFeed: 'closeUp', calving: 'fresh' };
+const Location = mongoose.model('Location', locationSchema);
+// Dated move of one animal between locations; `to` null takes the animal out of any location.
+// Names are copied so the history still reads after a location is deleted.
+const movementSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull','calf'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    entityName: String, // snapshot for the location page
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    fromName: String,
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', default: null },
+    toName: String,
+    date: { type: Date, required: true },
+    reason: { type: String, default: 'manual' }, // 'manual' or the alert type that suggested the move
+    notes: String,
+}, { timestamps: true });
+const Movement = mongoose.model('Movement', movementSchema);
+// Feed ingredient with the stock on hand at the last delivery or count (stockAt). Use since then
+// is projected from the rations fed, see buildFeedPlan.
+const feedIngredientSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    stockKg: { type: Number, default: 0 },
+    stockAt: { type: Date, default: Date.now },
+    costPerKg: Number,
+    notes: String,
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+const FeedIngredient = mongoose.model('FeedIngredient', feedIngredientSchema);
+// Ration as kg of each ingredient per head per day. Assigned to locations (Location.ration) or to a
+// single cow (Cow.ration); the purpose uses Location.purposes so a change-feed confirmation can
+// switch the cow onto the close-up ration.
+const rationSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    purpose: { type: String, default: 'other' },
+    items: [{
+        ingredient: { type: mongoose.Schema.Types.ObjectId, ref: 'FeedIngredient', required: true },
+        ingredientName: String, // snapshot so the ration still reads after the ingredient is deleted
+        kgPerHead: { type: Number, required: true },
+    }],
+    notes: String,
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+const Ration = mongoose.model('Ration', rationSchema);
+// A group grazing a paddock from dateIn until dateOut (null while still on it). The planned days are
+// copied from the paddock so later changes to the plan leave past grazings alone.
+const grazingEventSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    paddock: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true, index: true },
+    paddockName: String,
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    groupName: String,
+    headCount: Number, // animals in the group on the day in
+    dateIn: { type: Date, required: true },
+    dateOut: { type: Date, default: null },
+    plannedDays: { type: Number, required: true },
+    notes: String,
+}, { timestamps: true });
+const GrazingEvent = mongoose.model('GrazingEvent', grazingEventSchema);
+// Breed dictionary of a community. Names, codes and aliases are what typed breed text is matched
+// against, so "Holstein Friesian", "HF" and "Holstein" can all mean one breed.
+const breedSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    name: { type: String, required: true },
+    code: String, // herd-book abbreviation, e.g. HO
+    aliases: { type: [String], default: [] },
+}, { timestamps: true });
+// Comparable form of a breed name: case, accents and spacing ignored
+breedSchema.statics.key = function(text){
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+// Breed text as typed or imported into [{ name, pct }]. Understands "Holstein", "Holstein x Jersey"
+// (equal shares) and "50% Holstein, 25% Jersey, 25% Montbéliarde"; parts without a share split what
+// the others leave. Text that names no breed ("Crossbred", "Unknown") gives an empty list.
+breedSchema.statics.parse = function(text){
+    const vague = new Set(['', 'n/a', 'na', 'unknown', 'cross', 'crossbred', 'crossbreed', 'mixed', 'mix', '-']);
+    const parts = String(text || '').split(/\s*(?:,|;|\/|\+|&|×|\bx\b)\s*/i).map(p => p.trim()).filter(Boolean).map(p => {
+        const m = p.match(/^(\d+(?:[.,]\d+)?)\s*%\s*(.+)$/) || p.match(/^(.+?)\s+(\d+(?:[.,]\d+)?)\s*%$/);
+        if (!m) return { name: p, pct: null };
+        const [num, name] = /^\d/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+        return { name: name.trim(), pct: Number(num.replace(',', '.')) };
+    }).filter(p => !vague.has(this.key(p.name)));
+    if (!parts.length) return [];
+    const given = parts.reduce((s, p) => s + (p.pct || 0), 0);
+    const open = parts.filter(p => p.pct == null);
+    const share = open.length ? Math.max(0, 100 - given) / open.length : 0;
+    const total = given + share * open.length;
+    if (!total) return [];
+    const merged = new Map();
+    for (const p of parts){
+        const k = this.key(p.name);
+        const pct = (p.pct == null ? share : p.pct) * 100 / total;
+        merged.set(k, { name: merged.get(k)?.name || p.name, pct: (merged.get(k)?.pct || 0) + pct });
+    }
+    return [...merged.values()].map(p => ({ name: p.name, pct: Math.round(p.pct * 100) / 100 }));
+};
+// Composition written out: "Holstein" for a pure breed, else the shares from largest to smallest
+breedSchema.statics.label = function(breeds){
+    const list = (breeds || []).filter(b => b.pct > 0).sort((a, b) => b.pct - a.pct || a.name.localeCompare(b.name));
+    if (list.length === 1 && list[0].pct >= 100) return list[0].name;
+    return list.map(b => `${b.pct}% ${b.name}`).join(', ');
+};
+// Composition of a calf: half of each parent's composition
+breedSchema.statics.cross = function(mother, sire){
+    if (!mother?.length || !sire?.length) return null;
+    const merged = new Map();
+    for (const b of [...mother, ...sire]){
+        const k = String(b.breed);
+        merged.set(k, { breed: b.breed, name: b.name, pct: (merged.get(k)?.pct || 0) + b.pct / 2 });
+    }
+    return [...merged.values()].map(b => ({ ...b, pct: Math.round(b.pct * 100) / 100 }));
+};
+// Composition for breed text within a community. Breeds not yet in the dictionary are added to it
+// (the farm can merge them into an existing breed later).
+breedSchema.statics.compose = async function(text, community){
+    const parts = this.parse(text);
+    if (!parts.length) return [];
+    const dictionary = await this.find({ community: community || null }).lean();
+    const byKey = new Map();
+    dictionary.forEach(b => [b.name, b.code, ...(b.aliases || [])].filter(Boolean).forEach(n => { if (!byKey.has(this.key(n))) byKey.set(this.key(n), b); }));
+    const out = [];
+    for (const p of parts){
+        let breed = byKey.get(this.key(p.name));
+        if (!breed){ breed = (await this.create({ community: community || null, name: p.name })).toObject(); byKey.set(this.key(p.name), breed); }
+        const same = out.find(b => String(b.breed) === String(breed._id));
+        if (same) same.pct = Math.round((same.pct + p.pct) * 100) / 100;
+        else out.push({ breed: breed._id, name: breed.name, pct: p.pct });
+    }
+    return out;
+};
+// Migration: give animals recorded before the dictionary a composition from their breed text;
+// calves with both parents known get the cross of their parents instead. Safe to rerun: only animals
+// without a composition are looked at.
+breedSchema.statics.migrate = async function(filter = {}){
+    let mapped = 0;
+    const none = { $or: [{ breeds: { $exists: false } }, { breeds: { $size: 0 } }] };
+    for (const [Model, field] of [[Cow, 'race'], [Bull, 'race'], [Calf, 'calfBreed']]){
+        const docs = await Model.find({ ...filter, ...none }).select(`community mother sire ${field}`).lean();
+        for (const d of docs){
+            const breeds = (Model === Calf && await breedsFromParents(d)) || (d[field] ? await this.compose(d[field], d.community) : []);
+            if (!breeds.length) continue;
+            await Model.updateOne({ _id: d._id }, { breeds, [field]: this.label(breeds) });
+            mapped++;
+        }
+    }
+    return { mapped };
+};
+const Breed = mongoose.model('Breed', breedSchema);
+// Genetic evaluation of a bull or cow from a proof run or genomic test: dated trait values (EBVs/PTAs)
+// in the units of the file they were imported from
+const geneticEvaluationSchema = new mongoose.Schema({
+    community: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', index: true },
+    entityType: { type: String, enum: ['cow','bull'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    date: { type: Date, required: true },
+    source: String, // e.g. "Interbull April 2026" or "Genomic"
+    reliability: Number, // %
+    traits: [{ _id: false, trait: String, value: Number }],
+}, { timestamps: true });
+// Columns that say which animal, when and from where rather than carrying a trait value
+geneticEvaluationSchema.statics.columns = {
+    bullnumber: 'bullNumber', cownumber: 'cowNumber', date: 'date', evaluationdate: 'date',
+    source: 'source', reliability: 'reliability', rel: 'reliability',
+};
+// Evaluation file (CSV with a header row; comma, semicolon or tab separated) into rows of
+// { line, entityType, number, date, source, reliability, traits }. Every numeric column other than
+// those above is a trait; empty cells are left out. Rows without a bullNumber or cowNumber are reported.
+geneticEvaluationSchema.statics.parseCsv = function(text){
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const header = lines.shift() || '';
+    const sep = [',', ';', '\t'].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+    const split = line => {
+        const cells = []; let cell = '', quoted = false;
+        for (let i = 0; i < line.length; i++){
+            const c = line[i];
+            if (quoted){
+                if (c === '"' && line[i + 1] === '"'){ cell += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else cell += c;
+            } else if (c === '"') quoted = true;
+            else if (c === sep){ cells.push(cell.trim()); cell = ''; }
+            else cell += c;
+        }
+        cells.push(cell.trim());
+        return cells;
+    };
+    const names = split(header);
+    const roles = names.map(n => this.columns[n.toLowerCase().replace(/[^a-z]/g, '')] || null);
+    const rows = [], errors = [];
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        const cells = split(line);
+        const row = { line: i + 2, traits: [] };
+        names.forEach((name, c) => {
+            const cell = cells[c] ?? '';
+            if (roles[c]) row[roles[c]] = cell;
+            else if (cell !== '' && name && !isNaN(Number(cell.replace(',', '.')))) row.traits.push({ trait: name, value: Number(cell.replace(',', '.')) });
+        });
+        row.entityType = row.bullNumber ? 'bull' : row.cowNumber ? 'cow' : null;
+        row.number = row.bullNumber || row.cowNumber || '';
+        row.reliability = row.reliability ? Number(String(row.reliability).replace(',', '.').replace('%', '')) : null;
+        if (!row.entityType) errors.push(`Line ${row.line}: no bullNumber or cowNumber`);
+        else if (!row.traits.length) errors.push(`Line ${row.line}: no trait values`);
+        else rows.push(row);
+    });
+    return { rows, errors, traits: names.filter((n, c) => n && !roles[c]) };
+};
+// Predicted parent average of a calf: the mean of its mother's and sire's values for the traits both have
+geneticEvaluationSchema.statics.parentAverage = function(mother, sire){
+    if (!mother || !sire) return null;
+    const sireValues = new Map(sire.traits.map(t => [t.trait.toLowerCase(), t.value]));
+    const traits = mother.traits.filter(t => sireValues.has(t.trait.toLowerCase()))
+        .map(t => ({ trait: t.trait, value: Math.round((t.value + sireValues.get(t.trait.toLowerCase())) / 2 * 100) / 100 }));
+    return traits.length ? traits : null;
+};
+// Selection index of a set of trait values: the weighted sum over the index traits present
+// (null when none of them is)
+geneticEvaluationSchema.statics.score = function(traits, weights){
+    const values = new Map((traits || []).map(t => [t.trait.toLowerCase(), t.value]));
+    const used = (weights || []).filter(w => w.weight && values.has(String(w.trait).toLowerCase()));
+    if (!used.length) return null;
+    return Math.round(used.reduce((s, w) => s + w.weight * values.get(String(w.trait).toLowerCase()), 0) * 100) / 100;
+};
+const GeneticEvaluation = mongoose.model('GeneticEvaluation', geneticEvaluationSchema);
 
 async function logAudit(entry){
     try{ await Audit.create(entry); } catch(err){ console.error('Audit log error:', err); }
 }
 
+// Resolve the service sire of an insemination by bull id or bull number (within the community).
+// Unknown numbers are kept as typed so the record still shows what was used.
+async function resolveInseminationSire({ sireBullId, sireBullNumber }, communityFilter){
+    let bull = null;
+    if (sireBullId && mongoose.isValidObjectId(sireBullId)) bull = await Bull.findOne({ _id: sireBullId, ...communityFilter }).lean();
+    if (!bull && sireBullNumber) bull = await Bull.findOne({ bullNumber: sireBullNumber, ...communityFilter }).lean();
+    if (bull) return { sireBull: bull._id, sireBullNumber: bull.bullNumber || '', sireBullName: bull.bullName || '', sireBullBreed: bull.race || '' };
+    return { sireBull: null, sireBullNumber: sireBullNumber ? String(sireBullNumber) : '', sireBullName: '', sireBullBreed: '' };
+}
+
+// Set the mother/sire links of a record being saved from the parent numbers it carries. A number of an
+// animal in the community links it and refreshes the name and breed copies; an empty or unknown number
+// clears the link (callers that require known parents check the numbers first).
+async function linkParents(fields, communityFilter){
+    if (fields.motherCowNumber !== undefined){
+        const mother = fields.motherCowNumber ? await Cow.findOne({ cowNumber: fields.motherCowNumber, ...communityFilter }).lean() : null;
+        fields.mother = mother ? mother._id : null;
+        if (mother) Object.assign(fields, { motherCowName: mother.cowName || '', motherCowBreed: mother.race || '' });
+    }
+    if (fields.sireBullNumber !== undefined){
+        const sire = fields.sireBullNumber ? await Bull.findOne({ bullNumber: fields.sireBullNumber, ...communityFilter }).lean() : null;
+        fields.sire = sire ? sire._id : null;
+        if (sire) Object.assign(fields, { sireBullName: sire.bullName || '', sireBullBreed: sire.race || '' });
+    }
+    return fields;
+}
+
+// Refresh the display copies on the offspring of a cow or bull after its number, name or breed changed
+async function syncParentCopies(type, parent, communityFilter){
+    const [filter, copies] = type === 'cow'
+        ? [{ mother: parent._id }, { motherCowNumber: parent.cowNumber || '', motherCowName: parent.cowName || '', motherCowBreed: parent.race || '' }]
+        : [{ sire: parent._id }, { sireBullNumber: parent.bullNumber || '', sireBullName: parent.bullName || '', sireBullBreed: parent.race || '' }];
+    await Promise.all([Cow, Bull, Calf].map(Model=> Model.updateMany({ ...filter, ...communityFilter }, copies)));
+    // Calves take their breed composition from their parents
+    for (const k of await Calf.find({ ...filter, ...communityFilter }).select('mother sire').lean()){
+        const breeds = await breedsFromParents(k);
+        if (breeds) await Calf.updateOne({ _id: k._id }, { breeds, calfBreed: Breed.label(breeds) });
+    }
+}
+
+// Parents of a cow, bull or calf through the pedigree links
+function findMother(doc, communityFilter){
+    return doc.mother ? Cow.findOne({ _id: doc.mother, ...communityFilter }).lean() : Promise.resolve(null);
+}
+function findSire(doc, communityFilter){
+    return doc.sire ? Bull.findOne({ _id: doc.sire, ...communityFilter }).lean() : Promise.resolve(null);
+}
+
+// Breed composition of a calf from its linked parents; null unless both parents have one
+async function breedsFromParents(doc){
+    if (!doc || !doc.mother || !doc.sire) return null;
+    const [mother, sire] = await Promise.all([
+        Cow.findById(doc.mother).select('breeds').lean(),
+        Bull.findById(doc.sire).select('breeds').lean(),
+    ]);
+    return Breed.cross(mother?.breeds, sire?.breeds);
+}
+
+// Breed composition and breed text (race or calfBreed) to save for an animal. With parents given
+// (their mother/sire links) a calf gets their cross; otherwise the typed text is matched against the
+// dictionary. Text naming no breed is kept as typed with an empty composition.
+async function breedFields(field, text, community, parents = null){
+    const breeds = (parents && await breedsFromParents(parents)) || await Breed.compose(text, community);
+    return { breeds, [field]: breeds.length ? Breed.label(breeds) : (text || '') };
+}
+
+// Wright's coefficients over the pedigree links (animals: Map of id -> { mother, sire }). Kinship is
+// found by stepping up from whichever of the two animals is further from the founders, so an
+// ancestor is never expanded past its own descendant. The inbreeding of an animal is the kinship of
+// its parents; the expected inbreeding of a calf from a mating is the kinship of the cow and bull.
+function buildKinship(animals){
+    const depths = new Map(), kinships = new Map();
+    const parentsOf = id => animals.get(String(id)) || {};
+    const depth = (id, path = new Set()) => {
+        if (!id) return 0;
+        id = String(id);
+        if (depths.has(id)) return depths.get(id);
+        if (path.has(id)) return 0; // a loop in bad data ends the line there
+        path.add(id);
+        const { mother, sire } = parentsOf(id);
+        const d = 1 + Math.max(depth(mother, path), depth(sire, path));
+        path.delete(id); depths.set(id, d);
+        return d;
+    };
+    const kinship = (a, b) => {
+        if (!a || !b) return 0;
+        a = String(a); b = String(b);
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (kinships.has(key)) return kinships.get(key);
+        kinships.set(key, 0);
+        let f;
+        if (a === b){
+            const { mother, sire } = parentsOf(a);
+            f = (1 + kinship(mother, sire)) / 2;
+        } else {
+            const [young, old] = depth(a) >= depth(b) ? [a, b] : [b, a];
+            const { mother, sire } = parentsOf(young);
+            f = (kinship(mother, old) + kinship(sire, old)) / 2;
+        }
+        kinships.set(key, f);
+        return f;
+    };
+    const inbreeding = id => { const { mother, sire } = parentsOf(id); return kinship(mother, sire); };
+    return { kinship, inbreeding };
+}
+
+// Kinship over every cow, bull and calf of the community
+async function loadKinship(communityFilter){
+    const lists = await Promise.all([Cow, Bull, Calf].map(Model=> Model.find(communityFilter).select('mother sire').lean()));
+    return buildKinship(new Map(lists.flat().map(d=> [String(d._id), { mother: d.mother, sire: d.sire }])));
+}
+
+// Coefficient shown as a percentage with two decimals
+const inbreedingPct = f => Math.round(f * 10000) / 100;
+
+// Whether a mating's expected inbreeding (%) reaches the farm's warning level; a level of 0 turns the warning off
+const isCloseRelative = (expected, warnPercent) => warnPercent > 0 && expected >= warnPercent;
+
+// Earliest service date after the cow's last calving (postpartum waiting period), or null
+function postpartumEarliest(cow, settings){
+    if (!cow.lastCalving) return null;
+    const earliest = new Date(cow.lastCalving); earliest.setDate(earliest.getDate() + (settings?.postpartumInseminationStartDays || 60));
+    return earliest;
+}
+
+// { expected, warnPercent } when the sire is a close relative of the cow, else null
+async function closeRelativeSire(cow, sireBull, settings, communityFilter){
+    if (!sireBull) return null;
+    const expected = inbreedingPct((await loadKinship(communityFilter)).kinship(cow._id, sireBull));
+    const warnPercent = settings?.inbreedingWarnPercent ?? 6.25;
+    return isCloseRelative(expected, warnPercent) ? { expected, warnPercent } : null;
+}
+
+// Herd bulls and catalog (AI) sires ranked for a cow: close relatives last, then by the farm's genetic
+// index (bulls without an evaluation after those with one), then by the expected inbreeding of the calf
+function rankSires(cow, bulls, pedigree, straws, warnPercent, indexes = new Map()){
+    return bulls.filter(b => String(b._id) !== String(cow._id)).map(b => {
+        const expected = inbreedingPct(pedigree.kinship(cow._id, b._id));
+        return { _id: b._id, bullName: b.bullName || '', bullNumber: b.bullNumber || '', race: b.race || '', isInsemination: !!b.isInsemination,
+            straws: b.isInsemination ? (straws.get(String(b._id)) || 0) : null, expected, relative: isCloseRelative(expected, warnPercent), index: indexes.get(String(b._id)) ?? null };
+    }).sort((a, b) => a.relative - b.relative || (a.index == null) - (b.index == null) || (b.index || 0) - (a.index || 0) || a.expected - b.expected
+        || (a.isInsemination && a.straws === 0) - (b.isInsemination && b.straws === 0) || (a.bullName || a.bullNumber).localeCompare(b.bullName || b.bullNumber));
+}
+
+// Latest genetic evaluation of each of these animals, by id
+async function latestEvaluations(ids, communityFilter){
+    const evaluations = await GeneticEvaluation.find({ entityId: { $in: ids.filter(Boolean) }, ...communityFilter }).sort({ date: -1 }).lean();
+    const latest = new Map();
+    evaluations.forEach(e => { if (!latest.has(String(e.entityId))) latest.set(String(e.entityId), e); });
+    return latest;
+}
+
+// Genetic evaluations for a profile: the cow's or bull's dated evaluations (latest first), or for a
+// calf the predicted parent average of its mother's and sire's latest evaluations. Both are scored
+// with the farm's genetic index.
+async function loadGenetics(entityType, doc, settings, communityFilter){
+    const weights = settings?.geneticIndex || [];
+    if (entityType === 'calf'){
+        const latest = await latestEvaluations([doc.mother, doc.sire], communityFilter);
+        const mother = doc.mother ? latest.get(String(doc.mother)) || null : null;
+        const sire = doc.sire ? latest.get(String(doc.sire)) || null : null;
+        const parentAverage = GeneticEvaluation.parentAverage(mother, sire);
+        return { weights, mother, sire, parentAverage, index: GeneticEvaluation.score(parentAverage, weights) };
+    }
+    const history = await GeneticEvaluation.find({ entityType, entityId: doc._id, ...communityFilter }).sort({ date: -1 }).lean();
+    return { weights, history, index: history.length ? GeneticEvaluation.score(history[0].traits, weights) : null };
+}
+
+// Service details copied from an insemination (or audit snapshot) when recreating it
+function inseminationServiceFields(src){
+    return {
+        sireBull: src.sireBull || null,
+        sireBullNumber: src.sireBullNumber || '',
+        sireBullName: src.sireBullName || '',
+        sireBullBreed: src.sireBullBreed || '',
+        strawCode: src.strawCode || '',
+        technician: src.technician || '',
+        semenBatch: src.semenBatch || null,
+    };
+}
+
+// Take one straw of the sire from inventory (matching batch code first, then oldest batch).
+// Bulls without any batches are not stock-tracked (e.g. natural service herd bulls).
+async function takeSemenStraw({ sireBull, strawCode }, communityFilter){
+    if (!sireBull) return { tracked:false, batch:null };
+    const batches = await SemenBatch.find({ bull: sireBull, ...communityFilter }).sort({ purchaseDate:1, createdAt:1 }).lean();
+    if (!batches.length) return { tracked:false, batch:null };
+    const byCode = strawCode ? batches.filter(b=> b.batchCode && b.batchCode === strawCode) : [];
+    const ordered = [...byCode, ...batches.filter(b=> !byCode.includes(b))].filter(b=> (b.strawsRemaining||0) > 0);
+    for (const b of ordered){
+        const batch = await SemenBatch.findOneAndUpdate({ _id: b._id, strawsRemaining: { $gt: 0 } }, { $inc: { strawsRemaining: -1 } }, { new:true }).lean();
+        if (batch) return { tracked:true, batch };
+    }
+    return { tracked:true, batch:null };
+}
+
+// Put a straw back into its batch (insemination deleted)
+async function returnSemenStraw(batchId, communityFilter){
+    if (!batchId) return;
+    try{ await SemenBatch.updateOne({ _id: batchId, ...communityFilter }, { $inc: { strawsRemaining: 1 } }); }
+    catch(err){ console.error('Return semen straw error:', err); }
+}
+
+// Re-take the straw of a restored insemination from its original batch
+async function retakeSemenStraw(batchId, communityFilter){
+    if (!batchId) return null;
+    try{ return await SemenBatch.findOneAndUpdate({ _id: batchId, strawsRemaining: { $gt: 0 }, ...communityFilter }, { $inc: { strawsRemaining: -1 } }, { new:true }).lean(); }
+    catch(err){ console.error('Retake semen straw error:', err); return null; }
+}
+
+// Mark the cow's protocol steps due on the confirmed day as done.
+// A timed-AI step records the insemination with the enrollment's planned sire (once per step); the
+// postpartum and close-relative checks of a manual service come back as warnings.
+async function completeProtocolSteps(conf, communityFilter){
+    const day = new Date(conf.when).toISOString().slice(0,10);
+    const enrollments = await ProtocolEnrollment.find({ ...communityFilter, cowId: conf.entityId, status:'active' });
+    let insemination = null, count = 0;
+    const warnings = [];
+    for (const en of enrollments){
+        const due = en.steps.filter(st=> !st.done && st.date && new Date(st.date).toISOString().slice(0,10) === day);
+        if (!due.length) continue;
+        for (const st of due){
+            st.done = true; st.confirmation = conf._id; count++;
+            if (!st.timedAI || st.insemination || insemination) continue;
+            const service = inseminationServiceFields(en);
+            const [cow, settings] = await Promise.all([
+                Cow.findOne({ _id: conf.entityId, ...communityFilter }).lean(),
+                Settings.findOne(communityFilter).lean(),
+            ]);
+            const earliest = cow && postpartumEarliest(cow, settings);
+            if (earliest && new Date(conf.when) < earliest) warnings.push(`Too early after last calving (earliest ${earliest.toISOString().slice(0,10)})`);
+            const relative = cow && await closeRelativeSire(cow, service.sireBull, settings, communityFilter);
+            if (relative) warnings.push(`Sire is a close relative of this cow (expected inbreeding ${relative.expected}%)`);
+            const stock = await takeSemenStraw(service, communityFilter);
+            if (stock.tracked && !stock.batch) warnings.push('No straws in stock for this sire; inventory was not updated');
+            if (stock.batch){ service.semenBatch = stock.batch._id; service.strawCode = stock.batch.batchCode || ''; }
+            const notes = `Timed AI (${en.protocolName || 'protocol'})`;
+            insemination = await Insemination.create({ cowId: conf.entityId, date: conf.when, confirmedPregnant: false, notes, forced: false, ...service, community: conf.community || null })
+                .catch(async err=>{ if (stock.batch) await returnSemenStraw(stock.batch._id, communityFilter); throw err; });
+            st.insemination = insemination._id;
+            await logAudit({ cowId: conf.entityId, inseminationId: insemination._id, action:'insemination.add', actor:'user', payload:{ date: conf.when, notes, ...service, enrollmentId: en._id }, community: conf.community || null });
+        }
+        if (en.steps.every(st=> st.done)) en.status = 'completed';
+        await en.save();
+    }
+    return { steps: count, insemination, warning: warnings.length ? warnings.join('; ') : null };
+}
+
+// Reopen the protocol steps of an undone confirmation. The timed-AI insemination is removed
+// (straw returned, restorable from the audit log) unless it has already been checked.
+async function reopenProtocolSteps(conf, communityFilter){
+    const enrollments = await ProtocolEnrollment.find({ ...communityFilter, 'steps.confirmation': conf._id });
+    for (const en of enrollments){
+        for (const st of en.steps){
+            if (String(st.confirmation) !== String(conf._id)) continue;
+            st.done = false; st.confirmation = null;
+            if (!st.insemination) continue;
+            const ins = await Insemination.findOne({ _id: st.insemination, ...communityFilter }).lean();
+            if (ins && (ins.confirmedPregnant || ins.failed)) continue;
+            if (ins){
+                await Insemination.deleteOne({ _id: ins._id });
+                await returnSemenStraw(ins.semenBatch, communityFilter);
+                await logAudit({ cowId: ins.cowId, inseminationId: ins._id, action:'insemination.delete', actor:'user', payload:{ snapshot: ins }, community: conf.community || null });
+            }
+            st.insemination = null;
+        }
+        if (en.status === 'completed') en.status = 'active';
+        await en.save();
+    }
+}
+
+// Record the program doses due for the animal on the confirmed day. The next dose is scheduled
+// from the day the dose was actually given (default today), not from the due date.
+async function completeHealthDoses(conf, { givenOn, product, batchNumber, givenBy } = {}, communityFilter){
+    const day = new Date(conf.when).toISOString().slice(0,10);
+    const Model = { cow: Cow, bull: Bull, calf: Calf }[conf.entityType];
+    const [animal, programs, doses] = await Promise.all([
+        Model.findOne({ _id: conf.entityId, ...communityFilter }).lean(),
+        HealthProgram.find({ ...communityFilter, animalClass: conf.entityType, active: { $ne: false } }).lean(),
+        HealthDose.find({ ...communityFilter, entityType: conf.entityType, entityId: conf.entityId }).lean(),
+    ]);
+    if (!animal) return [];
+    const date = givenOn ? new Date(givenOn) : new Date();
+    const recorded = [];
+    for (const p of programs){
+        if (!HealthProgram.appliesTo(p, conf.entityType, animal)) continue;
+        const due = HealthProgram.nextDue(p, animal, doses.filter(d=> String(d.program) === String(p._id)));
+        if (!due || due.date.toISOString().slice(0,10) !== day) continue;
+        recorded.push(await HealthDose.create({
+            community: conf.community || null,
+            program: p._id, programName: p.name, kind: p.kind,
+            entityType: conf.entityType, entityId: conf.entityId,
+            date, dueDate: due.date, doseNumber: due.doseNumber,
+            product: (product && String(product).trim()) || p.product || '',
+            batchNumber: batchNumber ? String(batchNumber).trim() : '',
+            givenBy: givenBy ? String(givenBy).trim() : '',
+            notes: conf.note || '',
+            confirmation: conf._id,
+        }));
+    }
+    return recorded;
+}
+
+// Programs that apply to one animal with their next due dose, and the doses given so far
+async function loadHealthSchedule(entityType, animal, communityFilter){
+    const [programs, doses] = await Promise.all([
+        HealthProgram.find({ ...communityFilter, animalClass: entityType, active: { $ne: false } }).sort({ name:1 }).lean(),
+        HealthDose.find({ ...communityFilter, entityType, entityId: animal._id }).sort({ date:-1 }).lean(),
+    ]);
+    const upcoming = [];
+    for (const p of programs){
+        if (!HealthProgram.appliesTo(p, entityType, animal)) continue;
+        const due = HealthProgram.nextDue(p, animal, doses.filter(d=> String(d.program) === String(p._id)));
+        if (due) upcoming.push({ programId: String(p._id), name: p.name, kind: p.kind, product: p.product || '', ...due });
+    }
+    upcoming.sort((a,b)=> a.date - b.date);
+    return { upcoming, doses };
+}
+
+// Location card of a profile: the current location, active locations to move to, the move history
+// and the ration the animal eats (a cow's own ration, else the ration of her location)
+async function loadPen(entityType, animal, communityFilter){
+    const [current, locations, movements, rations] = await Promise.all([
+        animal.location ? Location.findOne({ _id: animal.location, ...communityFilter }).lean() : null,
+        Location.find({ ...communityFilter, active: { $ne: false } }).sort({ name:1 }).lean(),
+        Movement.find({ ...communityFilter, entityType, entityId: animal._id }).sort({ date:-1, createdAt:-1 }).lean(),
+        Ration.find(communityFilter).sort({ name:1 }).lean(),
+    ]);
+    const rationId = animal.ration || current?.ration || null;
+    const ration = rationId ? rations.find(r=> String(r._id) === String(rationId)) || null : null;
+    return {
+        current, since: animal.locationSince || null, locations, movements, purposes: Location.purposes,
+        ration, ownRation: !!(ration && animal.ration), rationSince: animal.ration ? animal.rationSince || null : null,
+        rations: rations.filter(r=> r.active !== false),
+    };
+}
+
+// Move an animal to a location (empty locationId takes it out of any location). Shared by the
+// movement route and alert confirmations; returns { movement, warning } or { status, error }.
+async function recordMovement({ entityType, entityId, locationId, date, reason, notes }, communityFilter, community){
+    const Model = { cow: Cow, bull: Bull, calf: Calf }[entityType];
+    if (!Model) return { status:400, error:'Invalid entityType' };
+    if (!mongoose.isValidObjectId(entityId)) return { status:400, error:'Invalid entityId' };
+    if (locationId && !mongoose.isValidObjectId(locationId)) return { status:400, error:'Invalid locationId' };
+    const d = date ? new Date(date) : new Date();
+    if (isNaN(d.getTime())) return { status:400, error:'Invalid date' };
+    const animal = await Model.findOne({ _id: entityId, ...communityFilter }).lean();
+    if (!animal) return { status:404, error:'Animal not found' };
+    const target = locationId ? await Location.findOne({ _id: locationId, ...communityFilter }).lean() : null;
+    if (locationId && !target) return { status:404, error:'Location not found' };
+    if (target && target.active === false) return { status:400, error:'Location is retired' };
+    if (String(animal.location || '') === String(locationId || '')) return { status:409, error: target ? `Already in ${target.name}` : 'Animal is not in a location' };
+    if (animal.locationSince && d < new Date(animal.locationSince)) return { status:400, error:'Movement date is before the last move' };
+    const current = animal.location ? await Location.findOne({ _id: animal.location, ...communityFilter }).lean() : null;
+    const movement = await Movement.create({
+        entityType, entityId, date: d, reason: reason || 'manual', notes: notes || '',
+        entityName: entityType === 'cow' ? (animal.cowName || animal.cowNumber || '') : entityType === 'bull' ? (animal.bullName || animal.bullNumber || '') : (animal.calfName || ''),
+        from: animal.location || null, fromName: current ? current.name : '',
+        to: target ? target._id : null, toName: target ? target.name : '',
+        community
+    });
+    // A cow moved into a fed location goes onto its ration
+    const update = { location: movement.to, locationSince: d };
+    if (entityType === 'cow' && target && target.ration) Object.assign(update, { ration: null, rationSince: null });
+    await Model.updateOne({ _id: entityId, ...communityFilter }, update);
+    await logAudit({ cowId: entityType === 'cow' ? entityId : undefined, action:`${entityType}.move`, actor:'user', payload:{ movementId: movement._id, entityType, entityId, from: movement.from, to: movement.to, date: d, reason: movement.reason }, community });
+    let warning;
+    if (target && target.capacity > 0){
+        const [cows, bulls, calves] = await Promise.all([
+            Cow.countDocuments({ ...communityFilter, location: target._id, exitedAt: null }),
+            Bull.countDocuments({ ...communityFilter, location: target._id, exitedAt: null }),
+            Calf.countDocuments({ ...communityFilter, location: target._id, graduated: { $ne: true } }),
+        ]);
+        if (cows + bulls + calves > target.capacity) warning = `${target.name} is over capacity (${cows + bulls + calves}/${target.capacity})`;
+    }
+    return { movement, warning };
+}
+
+// Undo the latest move of an animal, putting it back where it came from. Shared by the movement
+// route and confirmation undo; returns { ok } or { status, error }.
+async function undoMovement(movement, communityFilter, community, actor){
+    const animalFilter = { ...communityFilter, entityType: movement.entityType, entityId: movement.entityId };
+    const latest = await Movement.findOne(animalFilter).sort({ date:-1, createdAt:-1 }).lean();
+    if (!latest || String(latest._id) !== String(movement._id)) return { status:409, error:'Only the latest move can be undone' };
+    await Movement.deleteOne({ _id: movement._id, ...communityFilter });
+    const previous = await Movement.findOne(animalFilter).sort({ date:-1, createdAt:-1 }).lean();
+    const Model = { cow: Cow, bull: Bull, calf: Calf }[movement.entityType];
+    await Model.updateOne({ _id: movement.entityId, ...communityFilter }, { location: movement.from, locationSince: previous ? previous.date : null });
+    await logAudit({ cowId: movement.entityType === 'cow' ? movement.entityId : undefined, action:`${movement.entityType}.move.undo`, actor, payload:{ movementId: movement._id, entityType: movement.entityType, entityId: movement.entityId, from: movement.from, to: movement.to, date: movement.date }, community });
+    return { ok:true };
+}
+
+// Daily feed use projected from head counts: a cow with her own ration eats that one, every other
+// animal eats the ration of its location. Stock on hand is the stock at the last delivery or count
+// less the projected use since then.
+function buildFeedPlan({ ingredients, rations, locations, cows, bulls, calves }, now = new Date()){
+    const rationIds = new Set((rations||[]).map(r=> String(r._id)));
+    const locationRation = new Map((locations||[]).filter(l=> l.ration).map(l=> [String(l._id), String(l.ration)]));
+    const head = new Map();
+    let unfed = 0;
+    const animals = [...(cows||[]).filter(c=> !c.exitedAt), ...(bulls||[]).filter(b=> !b.exitedAt), ...(calves||[]).filter(c=> !c.graduated)];
+    for (const a of animals){
+        const id = a.ration ? String(a.ration) : locationRation.get(String(a.location));
+        if (!id || !rationIds.has(id)){ unfed++; continue; }
+        head.set(id, (head.get(id) || 0) + 1);
+    }
+    const costById = new Map((ingredients||[]).map(i=> [String(i._id), i.costPerKg || 0]));
+    const dailyUse = new Map();
+    const rationRows = (rations||[]).map(r=>{
+        const n = head.get(String(r._id)) || 0;
+        let kgPerHead = 0, costPerHead = 0;
+        for (const it of (r.items||[])){
+            const k = String(it.ingredient);
+            kgPerHead += it.kgPerHead || 0;
+            costPerHead += (it.kgPerHead || 0) * (costById.get(k) || 0);
+            dailyUse.set(k, (dailyUse.get(k) || 0) + n * (it.kgPerHead || 0));
+        }
+        return { ...r, head: n, kgPerHead, costPerHead, dailyKg: n * kgPerHead };
+    });
+    const ingredientRows = (ingredients||[]).map(i=>{
+        const dailyKg = dailyUse.get(String(i._id)) || 0;
+        const days = i.stockAt ? Math.max(0, (now - new Date(i.stockAt)) / (24*60*60*1000)) : 0;
+        const onHandKg = Math.max(0, (i.stockKg || 0) - dailyKg * days);
+        return { ...i, dailyKg, onHandKg, daysLeft: dailyKg > 0 ? onHandKg / dailyKg : null };
+    });
+    return { ingredients: ingredientRows, rations: rationRows, unfed };
+}
+
+// Ration a cow goes onto at change feed: the ration of the close-up location she is in or moves to,
+// else the first active ration with the close-up purpose
+function changeFeedRation({ rations, locations }, locationId){
+    const purpose = Location.moveFor.changeFeed;
+    const active = (rations||[]).filter(r=> r.active !== false).sort((a,b)=> String(a.name).localeCompare(String(b.name)));
+    const location = locationId ? (locations||[]).find(l=> String(l._id) === String(locationId)) : null;
+    if (location && location.purpose === purpose && location.ration){
+        const own = active.find(r=> String(r._id) === String(location.ration));
+        if (own) return own;
+    }
+    return active.find(r=> r.purpose === purpose) || null;
+}
+
+// Switch a cow onto the change-feed ration after the alert is confirmed. A cow whose location feeds
+// that ration just follows the location. Returns { from, to, ration } or null when nothing changes.
+async function switchToChangeFeedRation(cowId, communityFilter, community){
+    const [cow, rations, locations] = await Promise.all([
+        Cow.findOne({ _id: cowId, ...communityFilter }).lean(),
+        Ration.find(communityFilter).lean(),
+        Location.find(communityFilter).lean(),
+    ]);
+    if (!cow) return null;
+    const ration = changeFeedRation({ rations, locations }, cow.location);
+    if (!ration) return null;
+    const location = locations.find(l=> String(l._id) === String(cow.location));
+    if (String(cow.ration || location?.ration || '') === String(ration._id)) return null;
+    const to = location && String(location.ration) === String(ration._id) ? null : ration._id;
+    await Cow.updateOne({ _id: cowId, ...communityFilter }, { ration: to, rationSince: to ? new Date() : null });
+    await logAudit({ cowId, action:'cow.ration', actor:'user', payload:{ from: cow.ration || null, to, reason:'changeFeed' }, community });
+    return { from: cow.ration || null, to, ration };
+}
+
+// Rotation state of each paddock: the group on it now and its day against the plan, or how long it
+// has rested since the last grazing and the day it can be grazed again. The next paddock is the ready
+// one rested longest (never grazed first), else the one that is ready soonest.
+function buildGrazingPlan(paddocks, events, now = new Date()){
+    const DAY = 24*60*60*1000;
+    const dayOf = d=> { const x = new Date(d); x.setHours(0,0,0,0); return x; };
+    const today = dayOf(now);
+    const rows = (paddocks||[]).map(p=>{
+        const own = (events||[]).filter(e=> String(e.paddock) === String(p._id)).sort((a,b)=> new Date(b.dateIn) - new Date(a.dateIn));
+        const current = own.find(e=> !e.dateOut) || null;
+        const last = own.find(e=> e.dateOut) || null;
+        const row = { paddock: p, current, last, grazings: own.length, restDays: p.restDays || 0 };
+        if (current){
+            row.status = 'grazing';
+            row.day = Math.round((today - dayOf(current.dateIn)) / DAY) + 1;
+            row.plannedOut = new Date(dayOf(current.dateIn).getTime() + current.plannedDays * DAY);
+            row.overstayDays = Math.max(0, row.day - current.plannedDays);
+        } else if (last){
+            row.restedDays = Math.round((today - dayOf(last.dateOut)) / DAY);
+            row.readyOn = new Date(dayOf(last.dateOut).getTime() + row.restDays * DAY);
+            row.status = row.restedDays >= row.restDays ? 'ready' : 'resting';
+        } else {
+            row.status = 'ready';
+            row.restedDays = null;
+        }
+        return row;
+    });
+    const open = rows.filter(r=> r.status !== 'grazing' && r.paddock.active !== false);
+    const ready = open.filter(r=> r.status === 'ready').sort((a,b)=> (b.restedDays ?? Infinity) - (a.restedDays ?? Infinity));
+    const resting = open.filter(r=> r.status === 'resting').sort((a,b)=> a.readyOn - b.readyOn);
+    return { rows, next: ready[0] || resting[0] || null };
+}
+
+// Record the loss of a confirmed pregnancy on its insemination. The gestation day is counted from
+// conception: the service date, or the date implied by the latest fetal-age diagnosis.
+async function recordPregnancyLoss(ins, { date, cause, notes, gestationDay }, communityFilter){
+    let conception = new Date(ins.date);
+    const aged = await PregnancyCheck.findOne({ insemination: ins._id, result:'pregnant', fetalAgeDays: { $gt: 0 }, ...communityFilter }).sort({ date:-1 }).lean();
+    if (aged){ conception = new Date(aged.date); conception.setDate(conception.getDate() - aged.fetalAgeDays); }
+    const day = (gestationDay !== undefined && gestationDay !== null && gestationDay !== '') ? Number(gestationDay) : Math.round((date - conception) / (24*60*60*1000));
+    const pregnancyLoss = { date, gestationDay: Number.isFinite(day) && day >= 0 ? day : null, cause: cause || 'unknown', notes: notes || '' };
+    return Insemination.findOneAndUpdate({ _id: ins._id, ...communityFilter }, { confirmedPregnant: false, failed: true, pregnancyLoss }, { new:true }).lean();
+}
+
 // Auto-graduate calves to adult cow/bull based on settings maturity months
 async function autoGraduateCalves(){
     try{
@@ -194,15 +1582,22 @@ async function autoGraduateCalves(){
                     cowName: k.calfName || '',
                     cowNumber: '',
                     race: k.calfBreed || '',
+                    breeds: k.breeds || [],
                     dob: k.birthDate,
                     notes: (k.notes||'') + `\nGraduated from calf on ${now.toLocaleDateString()}`,
                     profileImageUrl: k.profileImageUrl || '',
+                    mother: k.mother || null,
+                    sire: k.sire || null,
                     motherCowNumber: k.motherCowNumber || '',
                     motherCowName: k.motherCowName || '',
                     motherCowBreed: k.motherCowBreed || '',
                     sireBullNumber: k.sireBullNumber || '',
                     sireBullName: k.sireBullName || '',
                     sireBullBreed: k.sireBullBreed || '',
+                    arrivedAt: k.arrivedAt || null,
+                    quarantineUntil: k.quarantineUntil || null,
+                    location: k.location || null,
+                    locationSince: k.locationSince || null,
                     community: k.community || null
                 });
             } else {
@@ -211,21 +1606,28 @@ async function autoGraduateCalves(){
                     bullName: k.calfName || '',
                     bullNumber: '',
                     race: k.calfBreed || '',
+                    breeds: k.breeds || [],
                     dob: k.birthDate,
                     notes: (k.notes||'') + `\nGraduated from calf on ${now.toLocaleDateString()}`,
                     profileImageUrl: k.profileImageUrl || '',
+                    mother: k.mother || null,
+                    sire: k.sire || null,
                     motherCowNumber: k.motherCowNumber || '',
                     motherCowName: k.motherCowName || '',
                     motherCowBreed: k.motherCowBreed || '',
                     sireBullNumber: k.sireBullNumber || '',
                     sireBullName: k.sireBullName || '',
                     sireBullBreed: k.sireBullBreed || '',
+                    arrivedAt: k.arrivedAt || null,
+                    quarantineUntil: k.quarantineUntil || null,
+                    location: k.location || null,
+                    locationSince: k.locationSince || null,
                     community: k.community || null
                 });
             }
             await Calf.findByIdAndUpdate(k._id, { graduated: true, graduatedAt: now, adultType, adultId: adult._id });
             // Link to mother cow history if available - use same community filter
-            let mother=null; if(k.motherCowNumber && k.community){ mother = await Cow.findOne({ cowNumber: k.motherCowNumber, community: k.community }).lean(); }
+            const mother = k.mother ? await Cow.findById(k.mother).lean() : null;
             if (mother){ await logAudit({ cowId: mother._id, action:'calf.graduate', actor:'system', payload:{ calfId: k._id, calfName: k.calfName || '', gender: k.gender, adultType, adultId: adult._id }, community: k.community || null }); }
             promotedCount++;
         }
@@ -296,24 +1698,71 @@ app.get('/', async (req, res) => {
         // Build community filter - SuperAdmin sees all, others see only their community
         const communityFilter = getCommunityFilter(req);
         
-        const [cows, calves, bulls, settings, insems, confirms] = await Promise.all([
-            Cow.find(communityFilter).lean(),
+        // Animals that left the herd keep their records but get no alerts
+        const [cows, calves, bulls, settings, insems, confirms, semenBatches, heats, enrollments, pregChecks, sccTests, mastitisCases, withdrawals, healthPrograms, healthDoses, locations, feedIngredients, rations, grazingEvents] = await Promise.all([
+            Cow.find({ ...communityFilter, exitedAt: null }).lean(),
             Calf.find(communityFilter).lean(),
-            Bull.find(communityFilter).lean(),
+            Bull.find({ ...communityFilter, exitedAt: null }).lean(),
             Settings.findOne(communityFilter).lean(),
             Insemination.find(communityFilter).lean(),
             Confirmation.find({ ...communityFilter, undone: { $ne: true } }).lean(),
+            SemenBatch.find(communityFilter).lean(),
+            Heat.find(communityFilter).lean(),
+            ProtocolEnrollment.find({ ...communityFilter, status:'active' }).lean(),
+            PregnancyCheck.find(communityFilter).lean(),
+            SccTest.find(communityFilter).lean(),
+            MastitisCase.find(communityFilter).lean(),
+            listWithdrawals(communityFilter),
+            HealthProgram.find({ ...communityFilter, active: { $ne: false } }).lean(),
+            HealthDose.find(communityFilter).lean(),
+            Location.find(communityFilter).lean(),
+            FeedIngredient.find(communityFilter).lean(),
+            Ration.find(communityFilter).lean(),
+            GrazingEvent.find({ ...communityFilter, dateOut: null }).lean(),
         ]);
-        const alerts = buildAlerts({ cows, calves, bulls, settings, insems, confirmations: confirms });
-        res.render('index', { title: 'FermaTech Dashboard', cows, calves, bulls, alerts });
+        const alerts = buildAlerts({ cows, calves, bulls, settings, insems, confirmations: confirms, semenBatches, heats, enrollments, pregChecks, sccTests, mastitisCases, healthPrograms, healthDoses, locations, feedIngredients, rations, grazingEvents });
+        res.render('index', { title: 'FermaTech Dashboard', cows, calves, bulls, alerts, withdrawals });
     } catch (error) {
         console.error('Error fetching data:', error);
         res.status(500).send('Internal Server Error');
     }
 });
 
+// Udder health of a cow: latest SCC against the alert level, consecutive high tests and clinical
+// cases in the last 12 months and the current lactation. A cow with a high test or a case in this
+// lactation is a candidate for dry-cow therapy at dry-off.
+function buildUdderHealth(cow, settings, sccTests, cases, now = new Date()){
+    const threshold = settings?.sccAlertThreshold ?? 200;
+    const repeatCases = settings?.mastitisRepeatCases ?? 2;
+    const lactationStart = cow.lastCalving ? new Date(cow.lastCalving) : null;
+    const sccOf = t => t.scc != null ? t.scc : Math.max(...UDDER_QUARTERS.map(q => t.quarters?.[q]).filter(v => v != null), -1);
+    const tests = (sccTests || []).filter(t => String(t.cowId) === String(cow._id) && sccOf(t) >= 0).sort((a,b)=> new Date(b.date) - new Date(a.date));
+    const latest = tests[0] || null;
+    let consecutiveHigh = 0;
+    for (const t of tests){ if (sccOf(t) > threshold) consecutiveHigh++; else break; }
+    const inLactation = d => !lactationStart || new Date(d) >= lactationStart;
+    const cowCases = (cases || []).filter(c => String(c.cowId) === String(cow._id)).sort((a,b)=> new Date(b.date) - new Date(a.date));
+    const yearAgo = new Date(now); yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+    const cases12m = cowCases.filter(c => new Date(c.date) >= yearAgo);
+    const casesThisLactation = cowCases.filter(c => inLactation(c.date));
+    return {
+        threshold,
+        latest,
+        latestScc: latest ? sccOf(latest) : null,
+        highScc: !!latest && sccOf(latest) > threshold,
+        consecutiveHigh,
+        highQuarters: latest ? UDDER_QUARTERS.filter(q => latest.quarters?.[q] > threshold) : [],
+        cases: cowCases,
+        cases12m: cases12m.length,
+        casesThisLactation: casesThisLactation.length,
+        openCases: cowCases.filter(c => c.outcome === 'ongoing').length,
+        repeatMastitis: repeatCases > 0 && cases12m.length >= repeatCases,
+        dryOffTreatment: tests.some(t => inLactation(t.date) && sccOf(t) > threshold) || casesThisLactation.length > 0,
+    };
+}
+
 // Build alerts for a given anchor date (defaults to now). Week starts on Sunday.
-function buildAlerts({ cows, calves, settings, insems, confirmations }, anchorDate){
+function buildAlerts({ cows, calves, bulls, settings, insems, confirmations, semenBatches, heats, enrollments, pregChecks, sccTests, mastitisCases, healthPrograms, healthDoses, locations, feedIngredients, rations, grazingEvents }, anchorDate){
     const now = anchorDate ? new Date(anchorDate) : new Date();
     const startOfWeek = new Date(now);
     const day = startOfWeek.getDay(); // 0=Sun
@@ -330,22 +1779,79 @@ function buildAlerts({ cows, calves, settings, insems, confirmations }, anchorDa
         insemination: settings?.inseminationAlertBeforeDays ?? 0,
         graduation: settings?.graduationAlertBeforeDays ?? 7,
         weaning: settings?.weaningAlertBeforeDays ?? 7,
+        heat: settings?.heatAlertBeforeDays ?? 1,
+        protocol: settings?.protocolAlertBeforeDays ?? 0,
+        herdHealth: settings?.herdHealthAlertBeforeDays ?? 7,
     };
     const events=[];
     const byCowId = new Map(cows.map(c=> [String(c._id), c]));
+    // Dry-off, change feed and calving suggest a move to the first active location with the matching purpose
+    const activeLocations = (locations||[]).filter(l=> l.active !== false).sort((a,b)=> String(a.name).localeCompare(String(b.name)));
+    const locationById = new Map(activeLocations.map(l=> [String(l._id), l]));
+    const moveTarget = (cow, type)=>{
+        const purpose = Location.moveFor[type]; if(!purpose) return null;
+        const current = locationById.get(String(cow.location));
+        if(current && current.purpose === purpose) return null;
+        const target = activeLocations.find(l=> l.purpose === purpose);
+        return target ? { id:String(target._id), name:target.name } : null;
+    };
+    // Change feed names the ration the cow goes onto, unless she already eats it
+    const rationLocation = new Map((locations||[]).map(l=> [String(l._id), l]));
+    const feedChange = (cow, moveTo)=>{
+        const ration = changeFeedRation({ rations, locations }, moveTo ? moveTo.id : cow.location);
+        if(!ration) return null;
+        const eating = cow.ration || rationLocation.get(String(cow.location))?.ration;
+        return String(eating || '') === String(ration._id) ? null : { id:String(ration._id), name:ration.name };
+    };
     const cowInsems = new Map();
     for(const r of insems){ const k=String(r.cowId); if(!cowInsems.has(k)) cowInsems.set(k, []); cowInsems.get(k).push(r); }
+    const cowHeats = new Map();
+    for(const h of (heats||[])){ const k=String(h.cowId); if(!cowHeats.has(k)) cowHeats.set(k, []); cowHeats.get(k).push(h); }
+    const cowChecks = new Map();
+    for(const p of (pregChecks||[])){ const k=String(p.cowId); if(!cowChecks.has(k)) cowChecks.set(k, []); cowChecks.get(k).push(p); }
+    const cowScc = new Map(); const cowCases = new Map();
+    for(const t of (sccTests||[])){ const k=String(t.cowId); if(!cowScc.has(k)) cowScc.set(k, []); cowScc.get(k).push(t); }
+    for(const c of (mastitisCases||[])){ const k=String(c.cowId); if(!cowCases.has(k)) cowCases.set(k, []); cowCases.get(k).push(c); }
     // Cow-based events using reproduction info
     for(const cow of cows){
         const records = (cowInsems.get(String(cow._id))||[]).sort((a,b)=> new Date(b.date)-new Date(a.date));
-        const repro = buildPregnancyInfo(cow, settings, records);
-        const push = (date,type,label,meta)=>{ if(!date) return; const when=new Date(date); const alertDate=new Date(when); const l=lead[type]||0; alertDate.setDate(alertDate.getDate()-l); events.push({ when, alertDate, type, label, entity:{ type:'cow', id:String(cow._id), name:cow.cowName||cow.cowNumber||'Cow' }, meta }); };
+        const repro = buildPregnancyInfo(cow, settings, records, { heats: cowHeats.get(String(cow._id)) || [], pregChecks: cowChecks.get(String(cow._id)) || [] });
+        const push = (date,type,label,meta)=>{ if(!date) return; const when=new Date(date); const alertDate=new Date(when); const l=lead[type]||0; alertDate.setDate(alertDate.getDate()-l); const moveTo=moveTarget(cow,type); const ration=type==='changeFeed' ? feedChange(cow,moveTo) : null; if(ration){ label=`${label}: ${ration.name}`; meta={ ...meta, ration }; } if(moveTo){ label=`${label} → ${moveTo.name}`; meta={ ...meta, moveTo }; } events.push({ when, alertDate, type, label, entity:{ type:'cow', id:String(cow._id), name:cow.cowName||cow.cowNumber||'Cow' }, meta }); };
         if(repro.retryWindowEnd){ push(repro.retryWindowEnd,'pregnancyCheck','Pregnancy check', { latestId: repro.latest? String(repro.latest._id):null }); }
         if(repro.nextInseminationEarliest){ push(repro.nextInseminationEarliest,'insemination','Earliest insemination',{}); }
-        if(repro.dryOffDate){ push(repro.dryOffDate,'dryOff','Dry-Off',{}); }
+        if(repro.nextHeatExpected){ push(repro.nextHeatExpected,'heat','Expected heat',{ lastHeat: repro.lastHeat ? repro.lastHeat.date : null }); }
+        const udder = buildUdderHealth(cow, settings, cowScc.get(String(cow._id)) || [], cowCases.get(String(cow._id)) || []);
+        if(udder.highScc){ push(udder.latest.date,'highScc', udder.consecutiveHigh > 1 ? `High SCC (${udder.consecutiveHigh} tests)` : 'High SCC', { scc: udder.latestScc, quarters: udder.highQuarters }); }
+        if(udder.repeatMastitis){ push(udder.cases[0].date,'mastitisRepeat',`Repeat mastitis (${udder.cases12m} cases in 12 months)`, { openCases: udder.openCases }); }
+        if(repro.dryOffDate){ push(repro.dryOffDate,'dryOff', udder.dryOffTreatment ? 'Dry-Off (dry-cow therapy)' : 'Dry-Off', { dryCowTherapy: udder.dryOffTreatment }); }
         if(repro.changeFeedDate){ push(repro.changeFeedDate,'changeFeed','Change Feed',{}); }
         if(repro.estCalving){ push(repro.estCalving,'calving','Estimated Calving',{}); }
     }
+    // Synchronization protocol steps still to be done
+    for(const en of (enrollments||[])){
+        if(en.status!=='active') continue;
+        const cow = byCowId.get(String(en.cowId)); if(!cow) continue;
+        for(const st of (en.steps||[])){
+            if(st.done || !st.date) continue;
+            const when=new Date(st.date); const alertDate=new Date(when); alertDate.setDate(alertDate.getDate()-(lead.protocol||0));
+            events.push({ when, alertDate, type:'protocol', label:`${en.protocolName||'Protocol'}: ${st.action}`, entity:{ type:'cow', id:String(cow._id), name:cow.cowName||cow.cowNumber||'Cow' }, meta:{ enrollmentId:String(en._id), stepId:String(st._id), day: st.day, timedAI: !!st.timedAI } });
+        }
+    }
+    // Vaccination and deworming programs: the next dose of each program per animal
+    const programDoses = new Map();
+    for(const d of (healthDoses||[])){ const k=`${d.entityType}:${d.entityId}:${d.program}`; if(!programDoses.has(k)) programDoses.set(k, []); programDoses.get(k).push(d); }
+    const animalsOf = { cow: cows, calf: calves, bull: bulls||[] };
+    const nameOf = { cow: a=> a.cowName||a.cowNumber||'Cow', calf: a=> a.calfName||'Calf', bull: a=> a.bullName||a.bullNumber||'Bull' };
+    for(const p of (healthPrograms||[])){
+        for(const animal of (animalsOf[p.animalClass]||[])){
+            if(!HealthProgram.appliesTo(p, p.animalClass, animal)) continue;
+            const due = HealthProgram.nextDue(p, animal, programDoses.get(`${p.animalClass}:${animal._id}:${p._id}`) || []);
+            if(!due) continue;
+            const when=due.date; const alertDate=new Date(when); alertDate.setDate(alertDate.getDate()-(lead.herdHealth||0));
+            const label = `${p.name} (${due.booster ? 'booster' : due.doseNumber > 1 ? 'repeat' : 'first dose'})`;
+            events.push({ when, alertDate, type:'herdHealth', label, entity:{ type:p.animalClass, id:String(animal._id), name:nameOf[p.animalClass](animal) }, meta:{ programId:String(p._id), kind:p.kind, product:p.product||'', doseNumber: due.doseNumber } });
+        }
+    }
     // Calf weaning + graduations
     for(const calf of calves){
         if(!calf.birthDate || !calf.gender) continue;
@@ -358,6 +1864,39 @@ function buildAlerts({ cows, calves, settings, insems, confirmations }, anchorDa
     }
     // Calf graduations
     for(const calf of calves){ if(calf.graduated) continue; if(!calf.birthDate || !calf.gender) continue; const months = calf.gender==='female' ? (settings?.femaleMaturityMonths ?? 24) : (settings?.maleMaturityMonths ?? 24); const target = new Date(calf.birthDate); target.setMonth(target.getMonth()+months); const name=calf.calfName||'Calf'; const label=`Graduate (${calf.gender})`; const when=target; const alertDate=new Date(when); alertDate.setDate(alertDate.getDate()-(lead.graduation||0)); events.push({ when, alertDate, type:'graduation', label, entity:{ type:'calf', id:String(calf._id), name }, meta:{} }); }
+    // Semen stock: one alert per stock-tracked bull at or below the low-stock level, dated today
+    const lowStock = settings?.semenLowStockStraws ?? 5;
+    const stockByBull = new Map();
+    for(const b of (semenBatches||[])){ const k=String(b.bull); const cur=stockByBull.get(k) || { remaining:0, name: b.bullName || b.bullNumber || 'Bull' }; cur.remaining += (b.strawsRemaining||0); stockByBull.set(k, cur); }
+    const stockDay = new Date(); stockDay.setHours(12,0,0,0);
+    for(const [bullId, st] of stockByBull){
+        if(st.remaining > lowStock) continue;
+        events.push({ when: stockDay, alertDate: stockDay, type:'semenLowStock', label: st.remaining ? `Low semen stock (${st.remaining} straws)` : 'Out of semen straws', entity:{ type:'bull', id:bullId, name: st.name }, meta:{ remaining: st.remaining } });
+    }
+    // Feed stock: one alert per ingredient in use whose stock on hand lasts the low-stock days or fewer
+    const feedDays = settings?.feedLowStockDays ?? 7;
+    const feed = buildFeedPlan({ ingredients: feedIngredients, rations, locations, cows, bulls, calves });
+    for(const i of feed.ingredients){
+        if(i.active === false || i.daysLeft == null || i.daysLeft > feedDays) continue;
+        events.push({ when: stockDay, alertDate: stockDay, type:'feedLowStock', label: i.onHandKg > 0 ? `Low feed stock (${Math.floor(i.daysLeft)} days left)` : 'Out of feed', entity:{ type:'feed', id:String(i._id), name:i.name }, meta:{ onHandKg: Math.round(i.onHandKg), dailyKg: Math.round(i.dailyKg*10)/10 } });
+    }
+    // Groups kept on a paddock past the planned days: one alert per grazing, dated today
+    for(const g of (grazingEvents||[])){
+        if(g.dateOut) continue;
+        const dayIn = new Date(g.dateIn); dayIn.setHours(0,0,0,0);
+        const day = Math.round((new Date(stockDay).setHours(0,0,0,0) - dayIn) / (24*60*60*1000)) + 1;
+        if(day <= g.plannedDays) continue;
+        events.push({ when: stockDay, alertDate: stockDay, type:'grazingOverstay', label: `Grazing overstay on ${g.paddockName || 'paddock'} (day ${day} of ${g.plannedDays})`, entity:{ type:'paddock', id:String(g.paddock), name: g.groupName || 'Group' }, meta:{ grazingId: String(g._id), day, plannedDays: g.plannedDays } });
+    }
+    // Bought animals still in quarantine: one alert per animal, dated today, until the end date
+    for(const t of ['cow','bull','calf']){
+        for(const animal of (animalsOf[t]||[])){
+            if(!animal.quarantineUntil || new Date(animal.quarantineUntil) <= stockDay) continue;
+            if(t==='calf' && animal.graduated) continue;
+            const until = new Date(animal.quarantineUntil);
+            events.push({ when: stockDay, alertDate: stockDay, type:'quarantine', label:`In quarantine until ${until.toISOString().slice(0,10)}`, entity:{ type:t, id:String(animal._id), name:nameOf[t](animal) }, meta:{ arrivedAt: animal.arrivedAt || null, quarantineUntil: until } });
+        }
+    }
     // Exclude confirmed (not undone)
     const confKey = (e)=> `${e.entity.type}:${e.entity.id}:${e.type}:${new Date(e.when).toISOString().slice(0,10)}`;
     const confirmed = new Set((confirmations||[]).filter(c=> !c.undone).map(c=> `${c.entityType}:${String(c.entityId)}:${c.type}:${new Date(c.when).toISOString().slice(0,10)}`));
@@ -407,14 +1946,28 @@ app.get('/alerts', async (req,res)=>{
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const anchor = req.query.anchor; const when = anchor ? new Date(anchor) : new Date();
-        const [cows, calves, settings, insems, confirms] = await Promise.all([
-            Cow.find(communityFilter).lean(), 
+        // Animals that left the herd keep their records but get no alerts
+        const [cows, calves, bulls, settings, insems, confirms, semenBatches, heats, enrollments, pregChecks, sccTests, mastitisCases, healthPrograms, healthDoses, locations, feedIngredients, rations, grazingEvents] = await Promise.all([
+            Cow.find({ ...communityFilter, exitedAt: null }).lean(), 
             Calf.find(communityFilter).lean(), 
+            Bull.find({ ...communityFilter, exitedAt: null }).lean(),
             Settings.findOne(communityFilter).lean(), 
             Insemination.find(communityFilter).lean(), 
-            Confirmation.find({ ...communityFilter, undone: { $ne: true } }).lean()
+            Confirmation.find({ ...communityFilter, undone: { $ne: true } }).lean(),
+            SemenBatch.find(communityFilter).lean(),
+            Heat.find(communityFilter).lean(),
+            ProtocolEnrollment.find({ ...communityFilter, status:'active' }).lean(),
+            PregnancyCheck.find(communityFilter).lean(),
+            SccTest.find(communityFilter).lean(),
+            MastitisCase.find(communityFilter).lean(),
+            HealthProgram.find({ ...communityFilter, active: { $ne: false } }).lean(),
+            HealthDose.find(communityFilter).lean(),
+            Location.find(communityFilter).lean(),
+            FeedIngredient.find(communityFilter).lean(),
+            Ration.find(communityFilter).lean(),
+            GrazingEvent.find({ ...communityFilter, dateOut: null }).lean()
         ]);
-        const data = buildAlerts({ cows, calves, settings, insems, confirmations: confirms }, when);
+        const data = buildAlerts({ cows, calves, bulls, settings, insems, confirmations: confirms, semenBatches, heats, enrollments, pregChecks, sccTests, mastitisCases, healthPrograms, healthDoses, locations, feedIngredients, rations, grazingEvents }, when);
         res.json(data);
     }catch(err){ console.error('alerts api error', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -426,6 +1979,11 @@ app.post('/confirmation', async (req,res)=>{
         if(!entityType || !entityId || !type || !when) return res.status(400).json({ error:'Missing fields' });
         if(!['cow','calf','bull'].includes(entityType)) return res.status(400).json({ error:'Invalid entityType' });
         if(!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Invalid entityId' });
+        // Every input is checked before the confirmation exists, since it hides the alert
+        if(isNaN(new Date(when).getTime())) return res.status(400).json({ error:'Invalid when' });
+        if(alertOn && isNaN(new Date(alertOn).getTime())) return res.status(400).json({ error:'Invalid alertOn' });
+        const { givenOn, product, batchNumber, givenBy } = req.body;
+        if(type==='herdHealth' && givenOn && isNaN(new Date(givenOn).getTime())) return res.status(400).json({ error:'Invalid givenOn' });
         // Add community for data isolation
         const doc = await Confirmation.create({ 
             community: req.communityId || null,
@@ -434,8 +1992,37 @@ app.post('/confirmation', async (req,res)=>{
             alertOn: alertOn? new Date(alertOn): undefined, 
             note: note||'' 
         });
-        return res.status(201).json(doc);
-    }catch(err){ console.error('confirmation create error', err); res.status(500).json({ error:'Internal Server Error' }); }
+        // Protocol steps are tracked on the enrollment; the timed-AI step records the insemination
+        if(type==='protocol' && entityType==='cow'){
+            const result = await completeProtocolSteps(doc, getCommunityFilter(req));
+            return res.status(201).json({ ...doc.toObject(), insemination: result.insemination, warning: result.warning });
+        }
+        // Vaccination/deworming: the dose is recorded and the program's next dose falls due from it
+        if(type==='herdHealth'){
+            // A failed dose takes its confirmation with it so the alert stays up
+            const doses = await completeHealthDoses(doc, { givenOn, product, batchNumber, givenBy }, getCommunityFilter(req))
+                .catch(async err=>{ await Confirmation.deleteOne({ _id: doc._id }); await HealthDose.deleteMany({ confirmation: doc._id }); throw err; });
+            return res.status(201).json({ ...doc.toObject(), doses });
+        }
+        // Dry-off, change feed and calving alerts can carry the suggested move to the matching group
+        let moved = null;
+        if(req.body.moveTo && Location.moveFor[type]){
+            moved = await recordMovement({ entityType, entityId, locationId: req.body.moveTo, reason: type }, getCommunityFilter(req), req.communityId || null);
+            if(moved.movement){ doc.movement = moved.movement._id; await doc.save(); }
+        }
+        // Change feed puts the cow onto the close-up ration (after the move, so a fed close-up pen wins)
+        let ration = null;
+        if(type==='changeFeed' && entityType==='cow'){
+            const switched = await switchToChangeFeedRation(entityId, getCommunityFilter(req), req.communityId || null);
+            if(switched){
+                ration = { id: String(switched.ration._id), name: switched.ration.name };
+                Object.assign(doc, { rationSwitched: true, rationFrom: switched.from, rationTo: switched.to });
+                await doc.save();
+            }
+        }
+        if(moved || ration) return res.status(201).json({ ...doc.toObject(), movement: moved?.movement || null, ration, warning: moved ? (moved.error || moved.warning) : undefined });
+        return res.status(201).json(doc);
+    }catch(err){ console.error('confirmation create error', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
 app.post('/confirmation/:id/undo', async (req,res)=>{
@@ -446,6 +2033,14 @@ app.post('/confirmation/:id/undo', async (req,res)=>{
         const communityFilter = getCommunityFilter(req);
         const doc = await Confirmation.findOneAndUpdate({ _id: id, ...communityFilter }, { undone: true }, { new:true }); 
         if(!doc) return res.status(404).json({ error:'Not found' }); 
+        if(doc.type==='protocol') await reopenProtocolSteps(doc, communityFilter);
+        if(doc.type==='herdHealth') await HealthDose.deleteMany({ ...communityFilter, confirmation: doc._id });
+        // Back onto the previous ration unless the cow's ration was changed since
+        if(doc.rationSwitched) await Cow.updateOne({ _id: doc.entityId, ration: doc.rationTo, ...communityFilter }, { ration: doc.rationFrom, rationSince: doc.rationFrom ? new Date() : null });
+        // Back to the previous location unless the animal was moved again since
+        const movement = doc.movement ? await Movement.findOne({ _id: doc.movement, ...communityFilter }).lean() : null;
+        const unmoved = movement ? await undoMovement(movement, communityFilter, req.communityId || null, 'user') : null;
+        if(unmoved && unmoved.error) return res.json({ ...doc.toObject(), warning:'The animal has moved since; its location was left as it is' });
         res.json(doc); 
     }catch(err){ console.error('confirmation undo error', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -506,16 +2101,24 @@ app.get('/cattle-management/history', async (req,res)=>{
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const losses = await Calf.find({ ...communityFilter, status: { $in:['miscarriage','died'] } }).sort({ birthDate:-1 }).lean();
-        const motherNums = [...new Set(losses.map(l=> l.motherCowNumber).filter(Boolean))];
-        const mothersByNum = new Map((await Cow.find({ ...communityFilter, cowNumber: { $in: motherNums } }).lean()).map(c=> [c.cowNumber, c]));
+        const mothers = new Map((await Cow.find({ ...communityFilter, _id: { $in: losses.map(l=> l.mother).filter(Boolean) } }).select('cowName cowNumber').lean()).map(c=> [String(c._id), c]));
         const items = losses.map(l=> ({
             id: String(l._id),
             name: l.calfName,
             status: l.status,
             birthDate: l.birthDate,
-            motherNumber: l.motherCowNumber || '',
-            motherName: (l.motherCowNumber && mothersByNum.get(l.motherCowNumber)?.cowName) || '',
+            motherId: l.mother ? String(l.mother) : '',
+            motherNumber: mothers.get(String(l.mother))?.cowNumber || l.motherCowNumber || '',
+            motherName: mothers.get(String(l.mother))?.cowName || '',
         }));
+        // Pregnancy losses recorded on inseminations (no calf document)
+        const lost = await Insemination.find({ ...communityFilter, 'pregnancyLoss.date': { $exists: true } }).lean();
+        const lostCows = new Map((await Cow.find({ ...communityFilter, _id: { $in: lost.map(i=> i.cowId) } }).select('cowName cowNumber').lean()).map(c=> [String(c._id), c]));
+        for (const i of lost){
+            const cow = lostCows.get(String(i.cowId));
+            items.push({ id: String(i._id), kind:'pregnancy', status:'lost', birthDate: i.pregnancyLoss.date, gestationDay: i.pregnancyLoss.gestationDay, cause: i.pregnancyLoss.cause, motherId: String(i.cowId), motherNumber: cow?.cowNumber || '', motherName: cow?.cowName || '' });
+        }
+        items.sort((a,b)=> new Date(b.birthDate||0) - new Date(a.birthDate||0));
         res.render('cattle-history', { title:'Cattle History', losses: items });
     }catch(err){ console.error('Global cattle history error:', err); res.status(500).send('Internal Server Error'); }
 });
@@ -541,8 +2144,21 @@ app.get('/settings', async (req, res) => {
                 inseminationAlertBeforeDays: 0,
                 graduationAlertBeforeDays: 7,
                 weaningAlertBeforeDays: 7,
+                semenLowStockStraws: 5,
+                inbreedingWarnPercent: 6.25,
+                heatAlertBeforeDays: 1,
+                heatCycleDays: 21,
+                sccAlertThreshold: 200,
+                mastitisRepeatCases: 2,
+                bcsLossAlertPoints: 1,
+                quarantineDays: 21,
+                feedLowStockDays: 7,
+                protocolAlertBeforeDays: 0,
+                herdHealthAlertBeforeDays: 7,
                 femaleWeaningDays: 180,
                 maleWeaningDays: 180,
+                calfTargetBirthWeightKg: 40,
+                calfTargetAdgKg: 0.8,
                 femaleMaturityMonths: 24,
                 maleMaturityMonths: 24,
                 femaleWeaningMonths: 14,
@@ -563,12 +2179,25 @@ app.get('/settings', async (req, res) => {
         // Populate separate weaning days from legacy shared value if missing
         if (settings.femaleWeaningDays == null) settings.femaleWeaningDays = (settings.weaningDays != null ? settings.weaningDays : 180);
         if (settings.maleWeaningDays == null) settings.maleWeaningDays = (settings.weaningDays != null ? settings.weaningDays : 180);
+        if (settings.calfTargetBirthWeightKg == null) settings.calfTargetBirthWeightKg = 40;
+        if (settings.calfTargetAdgKg == null) settings.calfTargetAdgKg = 0.8;
         if (settings.femaleMaturityMonths == null) settings.femaleMaturityMonths = 24;
         if (settings.maleMaturityMonths == null) settings.maleMaturityMonths = 24;
         if (settings.pregnancyCheckAlertBeforeDays == null) settings.pregnancyCheckAlertBeforeDays = 3;
         if (settings.inseminationAlertBeforeDays == null) settings.inseminationAlertBeforeDays = 0;
         if (settings.graduationAlertBeforeDays == null) settings.graduationAlertBeforeDays = 7;
         if (settings.weaningAlertBeforeDays == null) settings.weaningAlertBeforeDays = 7;
+        if (settings.semenLowStockStraws == null) settings.semenLowStockStraws = 5;
+        if (settings.inbreedingWarnPercent == null) settings.inbreedingWarnPercent = 6.25;
+        if (settings.heatAlertBeforeDays == null) settings.heatAlertBeforeDays = 1;
+        if (settings.heatCycleDays == null) settings.heatCycleDays = 21;
+        if (settings.sccAlertThreshold == null) settings.sccAlertThreshold = 200;
+        if (settings.mastitisRepeatCases == null) settings.mastitisRepeatCases = 2;
+        if (settings.bcsLossAlertPoints == null) settings.bcsLossAlertPoints = 1;
+        if (settings.quarantineDays == null) settings.quarantineDays = 21;
+        if (settings.feedLowStockDays == null) settings.feedLowStockDays = 7;
+        if (settings.protocolAlertBeforeDays == null) settings.protocolAlertBeforeDays = 0;
+        if (settings.herdHealthAlertBeforeDays == null) settings.herdHealthAlertBeforeDays = 7;
         await settings.save();
         res.render('settings', { title: 'Settings', settings });
     } catch (error) {
@@ -591,12 +2220,25 @@ app.post('/settings', async (req, res) => {
           changeFeedAlertBeforeDays,
           femaleWeaningDays,
           maleWeaningDays,
+          calfTargetBirthWeightKg,
+          calfTargetAdgKg,
           femaleMaturityMonths,
           maleMaturityMonths,
           pregnancyCheckAlertBeforeDays,
           inseminationAlertBeforeDays,
           graduationAlertBeforeDays,
           weaningAlertBeforeDays,
+          semenLowStockStraws,
+          inbreedingWarnPercent,
+          heatAlertBeforeDays,
+          heatCycleDays,
+          protocolAlertBeforeDays,
+          herdHealthAlertBeforeDays,
+          sccAlertThreshold,
+          mastitisRepeatCases,
+          bcsLossAlertPoints,
+          quarantineDays,
+          feedLowStockDays,
           // legacy fields may still post from older clients
           femaleWeaningMonths,
           maleWeaningMonths,
@@ -612,6 +2254,7 @@ app.post('/settings', async (req, res) => {
         }
         // Coerce numeric values safely
         const n = (v) => (v === undefined || v === null || v === '' ? undefined : Number(v));
+        if (n(inbreedingWarnPercent) < 0) return res.status(400).send('Inbreeding warning must be 0 (off) or more');
         settings.gestationDays = n(gestationDays);
         settings.dryOffAfterSuccessfulInsemDays = n(dryOffAfterSuccessfulInsemDays);
         settings.changeFeedAfterSuccessfulInsemDays = n(changeFeedAfterSuccessfulInsemDays);
@@ -624,9 +2267,22 @@ app.post('/settings', async (req, res) => {
         settings.inseminationAlertBeforeDays = n(inseminationAlertBeforeDays);
         settings.graduationAlertBeforeDays = n(graduationAlertBeforeDays);
         settings.weaningAlertBeforeDays = n(weaningAlertBeforeDays);
+        settings.semenLowStockStraws = n(semenLowStockStraws);
+        settings.inbreedingWarnPercent = n(inbreedingWarnPercent);
+        settings.heatAlertBeforeDays = n(heatAlertBeforeDays);
+        settings.heatCycleDays = n(heatCycleDays);
+        settings.protocolAlertBeforeDays = n(protocolAlertBeforeDays);
+        settings.herdHealthAlertBeforeDays = n(herdHealthAlertBeforeDays);
+        settings.sccAlertThreshold = n(sccAlertThreshold);
+        settings.mastitisRepeatCases = n(mastitisRepeatCases);
+        settings.bcsLossAlertPoints = n(bcsLossAlertPoints);
+        settings.quarantineDays = n(quarantineDays);
+        settings.feedLowStockDays = n(feedLowStockDays);
         // New fields: separate weaning days
         settings.femaleWeaningDays = n(femaleWeaningDays);
         settings.maleWeaningDays = n(maleWeaningDays);
+        settings.calfTargetBirthWeightKg = n(calfTargetBirthWeightKg);
+        settings.calfTargetAdgKg = n(calfTargetAdgKg);
         settings.femaleMaturityMonths = n(femaleMaturityMonths);
         settings.maleMaturityMonths = n(maleMaturityMonths);
         // Legacy: keep storing if provided (not used by UI anymore)
@@ -646,7 +2302,7 @@ app.post('/settings', async (req, res) => {
 // Export all data (settings, cows, bulls, calves, history)
 app.get('/export/all', async (req, res) => {
     try {
-        const [settings, cows, bulls, calves, inseminations, confirmations, audits] = await Promise.all([
+        const [settings, cows, bulls, calves, inseminations, confirmations, audits, calvings] = await Promise.all([
             Settings.findOne().lean(),
             Cow.find().lean(),
             Bull.find().lean(),
@@ -654,14 +2310,18 @@ app.get('/export/all', async (req, res) => {
             Insemination.find().lean(),
             Confirmation.find().lean(),
             Audit.find().lean(),
+            Calving.find().sort({ date:1 }).lean(),
         ]);
         
-        // Embed inseminations, audits, and confirmations within each cow
+        // Embed inseminations, calvings, audits, and confirmations within each cow
         const cowsWithHistory = cows.map(cow => {
             const cowIdStr = String(cow._id);
+            const cowCalvings = calvings.filter(c => String(c.cowId) === cowIdStr);
             return {
                 ...cow,
+                ...Calving.summarize(cow, cowCalvings),
                 _inseminations: inseminations.filter(i => String(i.cowId) === cowIdStr),
+                _calvings: cowCalvings,
                 _audits: audits.filter(a => String(a.cowId) === cowIdStr),
                 _confirmations: confirmations.filter(c => c.entityType === 'cow' && String(c.entityId) === cowIdStr),
             };
@@ -724,18 +2384,22 @@ app.get('/export/settings', async (req, res) => {
 // Export cows with history
 app.get('/export/cows', async (req, res) => {
     try {
-        const [cows, inseminations, audits, confirmations] = await Promise.all([
+        const [cows, inseminations, audits, confirmations, calvings] = await Promise.all([
             Cow.find().lean(),
             Insemination.find().lean(),
             Audit.find().lean(),
             Confirmation.find({ entityType: 'cow' }).lean(),
+            Calving.find().sort({ date:1 }).lean(),
         ]);
-        // Map inseminations and audits to each cow
+        // Map inseminations, calvings and audits to each cow
         const cowsWithHistory = cows.map(cow => {
             const cowIdStr = String(cow._id);
+            const cowCalvings = calvings.filter(c => String(c.cowId) === cowIdStr);
             return {
                 ...cow,
+                ...Calving.summarize(cow, cowCalvings),
                 _inseminations: inseminations.filter(i => String(i.cowId) === cowIdStr),
+                _calvings: cowCalvings,
                 _audits: audits.filter(a => String(a.cowId) === cowIdStr),
                 _confirmations: confirmations.filter(c => String(c.entityId) === cowIdStr),
             };
@@ -916,7 +2580,7 @@ app.post('/import/execute', express.json({ limit: '50mb' }), async (req, res) =>
                 const existing = cowData.cowNumber ? existingByNumber.get(cowData.cowNumber) : null;
                 
                 // Extract embedded history
-                const { _id, __v, _inseminations, _audits, _confirmations, ...cowFields } = cowData;
+                const { _id, __v, _inseminations, _calvings, _audits, _confirmations, parity, firstCalving, ageAtFirstCalvingDays, calvingIntervalDays, avgCalvingIntervalDays, ...cowFields } = cowData;
                 
                 if (existing) {
                     if (decision === 'replace') {
@@ -929,6 +2593,14 @@ app.post('/import/execute', express.json({ limit: '50mb' }), async (req, res) =>
                                 await Insemination.create({ ...insemData, cowId: updated._id });
                             }
                         }
+                        // Import calving history
+                        if (_calvings && _calvings.length > 0) {
+                            await Calving.deleteMany({ cowId: updated._id });
+                            for (const calving of _calvings) {
+                                const { _id: cid, __v: cv, cowId: oldCowId, calves: oldCalves, insemination: oldInsem, ...calvingData } = calving;
+                                await Calving.create({ ...calvingData, cowId: updated._id, source: 'import' });
+                            }
+                        }
                         // Import audits
                         if (_audits && _audits.length > 0) {
                             await Audit.deleteMany({ cowId: updated._id });
@@ -950,6 +2622,13 @@ app.post('/import/execute', express.json({ limit: '50mb' }), async (req, res) =>
                             await Insemination.create({ ...insemData, cowId: created._id });
                         }
                     }
+                    // Import calving history
+                    if (_calvings && _calvings.length > 0) {
+                        for (const calving of _calvings) {
+                            const { _id: cid, __v: cv, cowId: oldCowId, calves: oldCalves, insemination: oldInsem, ...calvingData } = calving;
+                            await Calving.create({ ...calvingData, cowId: created._id, source: 'import' });
+                        }
+                    }
                     // Import audits
                     if (_audits && _audits.length > 0) {
                         for (const audit of _audits) {
@@ -1053,10 +2732,14 @@ app.get('/cattle-registry', async (req, res) => {
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const cows = await Cow.find(communityFilter);
+        // Cows and bulls that left the herd are listed separately from the active herd
+        const cows = await Cow.find({ ...communityFilter, exitedAt: null });
         const calves = await Calf.find(communityFilter);
-        const bulls = await Bull.find(communityFilter);
-        res.render('cattle-registry', { title: 'Cattle Registry', cows, calves, bulls });
+        const bulls = await Bull.find({ ...communityFilter, exitedAt: null });
+        const exits = await ExitEvent.find(communityFilter).sort({ date:-1 }).lean();
+        // Active milk/meat withdrawals keyed by animal id for the row badges
+        const withdrawals = Object.fromEntries((await listWithdrawals(communityFilter)).map(w => [w.entityId, w]));
+        res.render('cattle-registry', { title: 'Cattle Registry', cows, calves, bulls, withdrawals, exits, exitReasons: ExitEvent.reasons });
     } catch (error) {
         console.error('Error fetching cattle data:', error);
         res.status(500).send('Internal Server Error');
@@ -1068,14 +2751,22 @@ app.get('/cattle-viewer', async (req, res) => {
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const [cows, calves, bulls, settings, insems] = await Promise.all([
-            Cow.find(communityFilter).lean(),
+        const [cowDocs, calves, bulls, settings, insems, calvings, withdrawalList, locations] = await Promise.all([
+            Cow.find({ ...communityFilter, exitedAt: null }).lean(),
             Calf.find(communityFilter).lean(),
-            Bull.find(communityFilter).lean(),
+            Bull.find({ ...communityFilter, exitedAt: null }).lean(),
             Settings.findOne(communityFilter).lean(),
             Insemination.find(communityFilter).lean(),
+            Calving.find(communityFilter).lean(),
+            listWithdrawals(communityFilter),
+            Location.find(communityFilter).sort({ name:1 }).lean(),
         ]);
-        res.render('cattle-viewer', { title: 'Cattle Viewer', cows, calves, bulls, settings, inseminations: insems });
+        const withdrawals = Object.fromEntries(withdrawalList.map(w => [w.entityId, w]));
+        // Parity and calving figures per cow for the lactation filters
+        const cows = cowDocs.map(c => ({ ...c, calving: Calving.summarize(c, calvings.filter(v => String(v.cowId) === String(c._id))) }));
+        // Location names by id for the pen filter and the card labels
+        const locationNames = Object.fromEntries(locations.map(l => [String(l._id), l.name]));
+        res.render('cattle-viewer', { title: 'Cattle Viewer', cows, calves, bulls, settings, inseminations: insems, withdrawals, locations, locationNames });
     } catch (err) {
         console.error('Error loading Cattle Viewer:', err);
         res.status(500).send('Internal Server Error');
@@ -1104,6 +2795,27 @@ const fileFilter = (req, file, cb) => {
 };
 const upload = multer({ storage, fileFilter, limits: { fileSize: 5 * 1024 * 1024 } });
 
+// Health certificates of bought animals (PDF or a photo of the paper)
+const certificatesDir = path.join(__dirname, 'public', 'uploads', 'certificates');
+fs.mkdirSync(certificatesDir, { recursive: true });
+const certificateUpload = multer({
+    storage: multer.diskStorage({
+        destination: function (req, file, cb) {
+            cb(null, certificatesDir);
+        },
+        filename: function (req, file, cb) {
+            const ext = path.extname(file.originalname).toLowerCase();
+            const safeExt = ['.pdf','.jpg','.jpeg','.png','.webp'].includes(ext) ? ext : '.pdf';
+            cb(null, `${Date.now()}-${Math.random().toString(36).slice(2,8)}${safeExt}`);
+        }
+    }),
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf' || /^image\/(jpeg|png|webp)$/.test(file.mimetype)) cb(null, true);
+        else cb(new Error('Only PDF or image files are allowed'));
+    },
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
+
 // Upload profile image and update entity
 app.post('/profile/:type/:id/upload-image', upload.single('image'), async (req, res) => {
     try {
@@ -1129,7 +2841,8 @@ app.post('/profile/:type/:id/upload-image', upload.single('image'), async (req,
 
 // Generic profile page routes (read-only view + optional inline edit later)
 // Extended reproduction computation covering cycle windows and management dates.
-function buildPregnancyInfo(cow, settings, insems){
+// `extra` carries optional per-cow records: { heats }.
+function buildPregnancyInfo(cow, settings, insems, extra = {}){
     const now = new Date();
     // Date helpers to compute day deltas without time-of-day/DST drift
     const DAY_MS = 24*60*60*1000;
@@ -1169,6 +2882,11 @@ function buildPregnancyInfo(cow, settings, insems){
             daysUntilDryOff = daysBetween(dryOffDate, now);
             daysUntilChangeFeed = daysBetween(changeFeedDate, now);
             daysUntilConception = daysBetween(conceptionDate, now);
+        } else if (latest.failed && latest.pregnancyLoss) {
+            // Lost pregnancy: the cow is open again from the loss date
+            status = 'Open';
+            nextInseminationEarliest = new Date(latest.pregnancyLoss.date);
+            daysUntilLatestInsemination = daysBetween(latestDate, now);
         } else if (latest.failed) {
             // Failed attempt: cycle re-opens, earliest next attempt after retry window end
             status = 'Open';
@@ -1194,6 +2912,33 @@ function buildPregnancyInfo(cow, settings, insems){
             daysUntilCalving = null;
         }
     }
+    // Pregnancy diagnoses since the last calving; a fetal age from the vet re-dates conception,
+    // and the calving, dry-off and change-feed dates move with it
+    const pregChecks = (extra.pregChecks || []).filter(p => String(p.cowId) === String(cow._id) && (!lastCalving || new Date(p.date) > lastCalving)).sort((a,b)=> new Date(b.date) - new Date(a.date));
+    const lastPregnancyCheck = pregChecks[0] || null;
+    let estCalvingByService = null;
+    let fetalAgeCheck = null;
+    let twins = false;
+    if (status === 'Pregnant' && latest){
+        const forLatest = pregChecks.filter(p => p.insemination ? String(p.insemination) === String(latest._id) : new Date(p.date) >= new Date(latest.date));
+        twins = forLatest.some(p => p.twins);
+        fetalAgeCheck = forLatest.find(p => p.result === 'pregnant' && p.fetalAgeDays > 0) || null;
+        if (fetalAgeCheck){
+            const diagnosed = new Date(fetalAgeCheck.date); diagnosed.setDate(diagnosed.getDate() - fetalAgeCheck.fetalAgeDays);
+            const shift = daysBetween(diagnosed, conceptionDate);
+            if (shift !== 0){
+                estCalvingByService = estCalving;
+                conceptionDate = diagnosed;
+                estCalving = new Date(estCalving); estCalving.setDate(estCalving.getDate() + shift);
+                dryOffDate = new Date(dryOffDate); dryOffDate.setDate(dryOffDate.getDate() + shift);
+                changeFeedDate = new Date(changeFeedDate); changeFeedDate.setDate(changeFeedDate.getDate() + shift);
+                daysUntilCalving = daysBetween(estCalving, now);
+                daysUntilDryOff = daysBetween(dryOffDate, now);
+                daysUntilChangeFeed = daysBetween(changeFeedDate, now);
+                daysUntilConception = daysBetween(conceptionDate, now);
+            }
+        }
+    }
     // Next insemination earliest based on last calving when open (merge with failure retry constraint if present)
     if (lastCalving){
         const postpartumEarliest = new Date(lastCalving);
@@ -1211,6 +2956,26 @@ function buildPregnancyInfo(cow, settings, insems){
     if (cow.lastCalving){ const lc=new Date(cow.lastCalving); daysUntilLastCalving = daysBetween(lc, now); }
     if (latest){ daysUntilLatestInsemination = daysBetween(new Date(latest.date), now); }
     const canConfirmNow = status === 'Pending' && retryWindowEnd && now >= retryWindowEnd;
+    // Next expected heat: last observed heat (or later unconfirmed service) plus whole estrous cycles.
+    // Not predicted while pregnant, or when more than 3 cycles passed without an observation.
+    const cycleDays = settings?.heatCycleDays || 21;
+    const pregnancyLoss = (latest && latest.pregnancyLoss && (!lastCalving || new Date(latest.pregnancyLoss.date) > lastCalving)) ? latest.pregnancyLoss : null;
+    const heats = (extra.heats || []).filter(h => String(h.cowId) === String(cow._id)).sort((a,b)=> new Date(b.date) - new Date(a.date));
+    const lastHeat = heats.find(h => !lastCalving || new Date(h.date) > lastCalving) || null;
+    let nextHeatExpected = null;
+    let daysUntilNextHeat = null;
+    if (status !== 'Pregnant'){
+        let base = lastHeat ? new Date(lastHeat.date) : null;
+        if (latest && !latest.confirmedPregnant && (!lastCalving || new Date(latest.date) > lastCalving) && (!base || new Date(latest.date) > base)) base = new Date(latest.date);
+        // After a pregnancy loss the cow cycles again from the loss date
+        if (pregnancyLoss && (!base || new Date(pregnancyLoss.date) > base)) base = new Date(pregnancyLoss.date);
+        if (base){
+            const next = new Date(base); next.setDate(next.getDate() + cycleDays);
+            let cycles = 1;
+            while (daysBetween(next, now) < 0 && cycles < 3){ next.setDate(next.getDate() + cycleDays); cycles++; }
+            if (daysBetween(next, now) >= 0){ nextHeatExpected = next; daysUntilNextHeat = daysBetween(next, now); }
+        }
+    }
     return {
         status,
         conceptionDate,
@@ -1233,6 +2998,15 @@ function buildPregnancyInfo(cow, settings, insems){
         daysUntilLastCalving,
         daysUntilConception,
         daysUntilNextInseminationEarliest,
+        lastHeat,
+        nextHeatExpected,
+        daysUntilNextHeat,
+        heatCycleDays: cycleDays,
+        lastPregnancyCheck,
+        fetalAgeCheck,
+        estCalvingByService,
+        twins,
+        pregnancyLoss,
     };
 }
 
@@ -1240,14 +3014,45 @@ app.get('/profile/cow/:id', async (req,res)=>{
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const [cow, settings, insems] = await Promise.all([
+        const [cow, settings, insems, heats, enrollments, protocols, pregChecks, calvings, milkRecords, sccTests, mastitisCases, treatments, bodyRecords] = await Promise.all([
             Cow.findOne({ _id: req.params.id, ...communityFilter }).lean(),
             Settings.findOne(communityFilter).lean(),
-            Insemination.find({ cowId: req.params.id, ...communityFilter }).lean()
+            Insemination.find({ cowId: req.params.id, ...communityFilter }).lean(),
+            Heat.find({ cowId: req.params.id, ...communityFilter }).sort({ date:-1 }).lean(),
+            ProtocolEnrollment.find({ cowId: req.params.id, ...communityFilter }).sort({ startDate:-1 }).lean(),
+            SyncProtocol.find({ ...communityFilter, active: { $ne: false } }).sort({ name:1 }).lean(),
+            PregnancyCheck.find({ cowId: req.params.id, ...communityFilter }).sort({ date:-1 }).lean(),
+            Calving.find({ cowId: req.params.id, ...communityFilter }).sort({ date:1 }).lean(),
+            MilkRecord.find({ cowId: req.params.id, ...communityFilter }).sort({ date:1 }).lean(),
+            SccTest.find({ cowId: req.params.id, ...communityFilter }).sort({ date:-1 }).lean(),
+            MastitisCase.find({ cowId: req.params.id, ...communityFilter }).sort({ date:-1 }).lean(),
+            Treatment.find({ entityType:'cow', entityId: req.params.id, ...communityFilter }).sort({ date:-1 }).lean(),
+            BodyRecord.find({ entityType:'cow', entityId: req.params.id, ...communityFilter }).sort({ date:1 }).lean()
         ]);
         if (!cow) return res.status(404).send('Cow not found');
-        const repro = buildPregnancyInfo(cow, settings, insems);
-        res.render('profile-cow', { title:'Cow Profile', cow, settings, insems, repro, override: !!req.session.cowOverride });
+        const repro = buildPregnancyInfo(cow, settings, insems, { heats, pregChecks });
+        const calvingStats = Calving.summarize(cow, calvings);
+        const milk = MilkRecord.lactation(milkRecords, [...calvings.map(c => c.date), cow.lastCalving]);
+        const udder = buildUdderHealth(cow, settings, sccTests, mastitisCases);
+        const health = await loadHealthSchedule('cow', cow, communityFilter);
+        const pen = await loadPen('cow', cow, communityFilter);
+        const condition = BodyRecord.condition(bodyRecords, cow.lastCalving);
+        const exit = cow.exitedAt ? await ExitEvent.findOne({ entityType:'cow', entityId: cow._id, ...communityFilter }).sort({ date:-1 }).lean() : null;
+        const arrival = cow.arrivedAt ? await findArrival('cow', cow._id, communityFilter) : null;
+        // Mating advisor: live herd bulls and catalog sires by the expected inbreeding of the calf
+        const [pedigree, sires, batches] = await Promise.all([
+            loadKinship(communityFilter),
+            Bull.find({ ...communityFilter, exitedAt: null }).lean(),
+            SemenBatch.find({ ...communityFilter, strawsRemaining: { $gt: 0 } }).select('bull strawsRemaining').lean(),
+        ]);
+        const straws = new Map();
+        batches.forEach(b => straws.set(String(b.bull), (straws.get(String(b.bull)) || 0) + b.strawsRemaining));
+        const genetics = await loadGenetics('cow', cow, settings, communityFilter);
+        const indexes = new Map();
+        (await latestEvaluations(sires.map(b => b._id), communityFilter)).forEach((e, id) => indexes.set(id, GeneticEvaluation.score(e.traits, genetics.weights)));
+        const warnPercent = settings?.inbreedingWarnPercent ?? 6.25;
+        const inbreeding = { own: inbreedingPct(pedigree.inbreeding(cow._id)), warnPercent, indexed: genetics.weights.length > 0, sires: rankSires(cow, sires, pedigree, straws, warnPercent, indexes) };
+        res.render('profile-cow', { title:'Cow Profile', cow, settings, insems, heats, enrollments, protocols, pregChecks, calvings, calvingStats, difficultCalvingEase: DIFFICULT_CALVING_EASE, milk, sccTests, udder, treatments, health, bodyRecords, condition, repro, exit, exitReasons: ExitEvent.reasons, arrival, pen, inbreeding, genetics, override: !!req.session.cowOverride });
     } catch (err){
         console.error(err); res.status(500).send('Internal Server Error');
     }
@@ -1264,10 +3069,16 @@ app.get('/cow/:id/history', async (req,res)=>{
         const audits = await Audit.find({ cowId:id, ...communityFilter }).sort({ createdAt:-1 }).lean();
         const items = [];
         const allowedInsem = new Set(['insemination.confirm','insemination.unconfirm','insemination.fail']);
+        // Attach the service sire/straw of the referenced insemination to pregnancy events
+        const insemIds = audits.filter(a=> allowedInsem.has(a.action) && a.inseminationId).map(a=> a.inseminationId);
+        const insemDocs = insemIds.length ? await Insemination.find({ _id: { $in: insemIds }, ...communityFilter }).lean() : [];
+        const insemById = new Map(insemDocs.map(i=> [String(i._id), i]));
         for (const a of audits){
             const base = { id: String(a._id), action:a.action, at:a.createdAt || a.at || new Date(), actor:a.actor||'user' };
             if (allowedInsem.has(a.action)){
-                items.push({ ...base, type:'insemination', details:a.payload||{} });
+                const ins = a.inseminationId ? insemById.get(String(a.inseminationId)) : null;
+                const sire = ins && ins.sireBullNumber ? { id: ins.sireBull ? String(ins.sireBull) : null, number: ins.sireBullNumber, name: ins.sireBullName || '', strawCode: ins.strawCode || '', technician: ins.technician || '' } : null;
+                items.push({ ...base, type:'insemination', details:a.payload||{}, sire });
             } else if (a.action === 'cow.calving.set'){
                 let calf=null;
                 if (a.payload && a.payload.calfId){ try{ calf = await Calf.findOne({ _id: a.payload.calfId, ...communityFilter }).lean(); }catch(_){} }
@@ -1284,6 +3095,27 @@ app.get('/cow/:id/history', async (req,res)=>{
             }
             // All other actions are available via the full audit endpoint
         }
+        // Heat observations come from their own collection
+        const heats = await Heat.find({ cowId:id, ...communityFilter }).lean();
+        for (const h of heats){
+            items.push({ id: String(h._id), action:'heat', at: h.date, actor:'user', type:'heat', details:{ date: h.date, sign: h.sign, intensity: h.intensity, observer: h.observer || '', notes: h.notes || '' } });
+        }
+        // Pregnancy diagnoses with method and fetal age
+        const checks = await PregnancyCheck.find({ cowId:id, ...communityFilter }).lean();
+        for (const p of checks){
+            items.push({ id: String(p._id), action:'pregcheck', at: p.date, actor:'user', type:'pregnancyCheck', details:{ date: p.date, method: p.method, result: p.result, vet: p.vet || '', fetalAgeDays: p.fetalAgeDays, twins: !!p.twins, recheck: !!p.recheck, notes: p.notes || '' } });
+        }
+        // Udder health: SCC tests and clinical mastitis cases
+        const [sccTests, mastitisCases] = await Promise.all([
+            SccTest.find({ cowId:id, ...communityFilter }).lean(),
+            MastitisCase.find({ cowId:id, ...communityFilter }).lean()
+        ]);
+        for (const t of sccTests){
+            items.push({ id: String(t._id), action:'scc', at: t.date, actor:'user', type:'scc', details:{ date: t.date, scc: t.scc, quarters: t.quarters || {}, method: t.method, notes: t.notes || '' } });
+        }
+        for (const c of mastitisCases){
+            items.push({ id: String(c._id), action:'mastitis', at: c.date, actor:'user', type:'mastitis', details:{ date: c.date, quarters: c.quarters, severity: c.severity, pathogen: c.pathogen, treatment: c.treatment || '', outcome: c.outcome, outcomeDate: c.outcomeDate, notes: c.notes || '' } });
+        }
         res.json({ items });
     }catch(err){ console.error('Cow history error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1296,22 +3128,75 @@ app.get('/cow/:id/losses', async (req,res)=>{
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean(); if(!cow) return res.status(404).json({ error:'Cow not found' });
-        const calves = await Calf.find({ motherCowNumber: cow.cowNumber, status: { $in:['miscarriage','died'] }, ...communityFilter }).sort({ birthDate:-1 }).lean();
-        res.json({ items: calves.map(c=> ({ id:String(c._id), name:c.calfName, status:c.status, birthDate:c.birthDate })) });
+        const calves = await Calf.find({ mother: cow._id, status: { $in:['miscarriage','died'] }, ...communityFilter }).sort({ birthDate:-1 }).lean();
+        const lost = await Insemination.find({ cowId: id, 'pregnancyLoss.date': { $exists: true }, ...communityFilter }).lean();
+        const items = [
+            ...calves.map(c=> ({ id:String(c._id), name:c.calfName, status:c.status, birthDate:c.birthDate })),
+            ...lost.map(i=> ({ id:String(i._id), kind:'pregnancy', name:'', status:'lost', birthDate: i.pregnancyLoss.date, gestationDay: i.pregnancyLoss.gestationDay, cause: i.pregnancyLoss.cause })),
+        ].sort((a,b)=> new Date(b.birthDate||0) - new Date(a.birthDate||0));
+        res.json({ items });
     }catch(err){ console.error('Cow losses error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
+// Fertility figures for a sire: services it was used for (by bull id or number) and the calves
+// linked to it. A lost pregnancy still counts as a conception and as a miscarriage.
+async function buildSireStats(bull, communityFilter){
+    const byNumber = bull.bullNumber ? [{ sireBullNumber: bull.bullNumber }] : [];
+    const [services, calves] = await Promise.all([
+        Insemination.find({ $or: [{ sireBull: bull._id }, ...byNumber], ...communityFilter }).lean(),
+        Calf.find({ sire: bull._id, ...communityFilter }).lean(),
+    ]);
+    const resolved = services.filter(s => s.confirmedPregnant || s.pregnancyLoss || s.failed).length;
+    const conceptions = services.filter(s => s.confirmedPregnant || s.pregnancyLoss).length;
+    const pregnancyLosses = services.filter(s => s.pregnancyLoss).length;
+    const count = (status, gender) => calves.filter(k => k.status === status && (!gender || k.gender === gender)).length;
+    const alive = count('alive'), died = count('died');
+    const weights = calves.map(k => k.birthWeightKg).filter(w => typeof w === 'number' && w > 0);
+    // Direct calving ease: how hard his calves were to deliver
+    const eases = calves.map(k => k.calvingEase).filter(v => typeof v === 'number');
+    const difficult = eases.filter(v => v >= DIFFICULT_CALVING_EASE).length;
+    return {
+        services: services.length,
+        pending: services.length - resolved,
+        conceptions,
+        conceptionRate: resolved ? Math.round(conceptions / resolved * 1000) / 10 : null,
+        calves: calves.filter(k => k.status !== 'miscarriage').length,
+        male: { alive: count('alive','male'), died: count('died','male') },
+        female: { alive: count('alive','female'), died: count('died','female') },
+        survivalRate: (alive + died) ? Math.round(alive / (alive + died) * 1000) / 10 : null,
+        miscarriages: count('miscarriage') + pregnancyLosses,
+        avgBirthWeightKg: weights.length ? Math.round(weights.reduce((s, w) => s + w, 0) / weights.length * 10) / 10 : null,
+        weighedCalves: weights.length,
+        avgCalvingEase: eases.length ? Math.round(eases.reduce((s, v) => s + v, 0) / eases.length * 10) / 10 : null,
+        difficultCalvings: difficult,
+        difficultCalvingRate: eases.length ? Math.round(difficult / eases.length * 1000) / 10 : null,
+        easeScored: eases.length,
+        multipleBirths: calves.filter(k => (k.birthCount || 1) > 1).length,
+    };
+}
+
 app.get('/profile/bull/:id', async (req,res)=>{
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const bull = await Bull.findOne({ _id: req.params.id, ...communityFilter }).lean();
         if (!bull) return res.status(404).send('Bull not found');
-        res.render('profile-bull', { title:'Bull Profile', bull });
+        const batches = await SemenBatch.find({ bull: bull._id, ...communityFilter }).lean();
+        const semenStock = batches.length ? { batches: batches.length, remaining: batches.reduce((n,b)=> n + (b.strawsRemaining||0), 0) } : null;
+        const sireStats = await buildSireStats(bull, communityFilter);
+        const treatments = await Treatment.find({ entityType:'bull', entityId: bull._id, ...communityFilter }).sort({ date:-1 }).lean();
+        const health = await loadHealthSchedule('bull', bull, communityFilter);
+        const pen = await loadPen('bull', bull, communityFilter);
+        const bodyRecords = await BodyRecord.find({ entityType:'bull', entityId: bull._id, ...communityFilter }).sort({ date:1 }).lean();
+        const exit = bull.exitedAt ? await ExitEvent.findOne({ entityType:'bull', entityId: bull._id, ...communityFilter }).sort({ date:-1 }).lean() : null;
+        const arrival = bull.arrivedAt ? await findArrival('bull', bull._id, communityFilter) : null;
+        const inbreeding = inbreedingPct((await loadKinship(communityFilter)).inbreeding(bull._id));
+        const genetics = await loadGenetics('bull', bull, await Settings.findOne(communityFilter).lean(), communityFilter);
+        res.render('profile-bull', { title:'Bull Profile', bull, semenStock, sireStats, treatments, health, bodyRecords, exit, exitReasons: ExitEvent.reasons, arrival, pen, inbreeding, genetics, override: !!req.session.cowOverride });
     } catch (err){ console.error(err); res.status(500).send('Internal Server Error'); }
 });
 
-// Bull history: graduated-from-calf
+// Bull history: graduated-from-calf, services and sired calves
 app.get('/bull/:id/history', async (req,res)=>{
     try{
         const { id } = req.params; if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid bull id' });
@@ -1320,6 +3205,19 @@ app.get('/bull/:id/history', async (req,res)=>{
         const bull = await Bull.findOne({ _id: id, ...communityFilter }).lean(); if(!bull) return res.status(404).json({ error:'Bull not found' });
         const fromCalves = await Calf.find({ adultType:'bull', adultId:id, ...communityFilter }).lean();
         const items = (fromCalves||[]).map(k=> ({ type:'graduate', at: k.graduatedAt || k.birthDate || new Date(), details:{ fromCalfId: k._id, fromCalfName: k.calfName||'' } , calf: { id:String(k._id), name:k.calfName||'' } }));
+        const byNumber = bull.bullNumber ? [{ sireBullNumber: bull.bullNumber }] : [];
+        const [services, sired] = await Promise.all([
+            Insemination.find({ $or: [{ sireBull: bull._id }, ...byNumber], ...communityFilter }).lean(),
+            Calf.find({ sire: bull._id, ...communityFilter }).lean(),
+        ]);
+        const cows = await Cow.find({ _id: { $in: services.map(s => s.cowId) }, ...communityFilter }).select('cowName cowNumber').lean();
+        const cowById = new Map(cows.map(c => [String(c._id), c]));
+        services.forEach(s => {
+            const cow = cowById.get(String(s.cowId));
+            const outcome = s.pregnancyLoss ? 'lost' : s.confirmedPregnant ? 'pregnant' : s.failed ? 'failed' : 'pending';
+            items.push({ type:'service', at: s.date, details:{ outcome, strawCode: s.strawCode||'', technician: s.technician||'' }, cow: { id:String(s.cowId), name: cow ? (cow.cowName || cow.cowNumber || '') : '' } });
+        });
+        sired.forEach(k => items.push({ type:'sired', at: k.birthDate, details:{ gender: k.gender, status: k.status, birthWeightKg: k.birthWeightKg }, calf: { id:String(k._id), name:k.calfName||'' } }));
         res.json({ items });
     }catch(err){ console.error('Bull history error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1336,6 +3234,74 @@ app.post('/admin/normalize-bulls', async (req,res)=>{
     }
 });
 
+// Backfill the calving history for cows recorded before it existed (also run at startup)
+app.post('/admin/backfill-calvings', async (req,res)=>{
+    try {
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const result = await Calving.backfill(communityFilter);
+        res.json({ ok:true, ...result });
+    } catch(err){ console.error('Backfill calvings error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Resolve the parent numbers of records saved before pedigree links existed (also run at startup)
+app.post('/admin/link-pedigree', async (req,res)=>{
+    try {
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const result = await Cow.linkPedigree(communityFilter);
+        res.json({ ok:true, ...result });
+    } catch(err){ console.error('Link pedigree error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Calving history of a cow with parity and interval figures
+app.get('/cow/:id/calvings', async (req,res)=>{
+    try{
+        const { id } = req.params; if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean(); if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const items = await Calving.find({ cowId:id, ...communityFilter }).sort({ date:1 }).lean();
+        res.json({ items, summary: Calving.summarize(cow, items) });
+    }catch(err){ console.error('Cow calvings error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Add an earlier calving (before the cow was on the system) to complete parity
+app.post('/cow/:id/calvings', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params; const { date, notes } = req.body;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean(); if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const d = new Date(date); if(!date || isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        if(cow.dob && d < new Date(cow.dob)) return res.status(400).json({ error:'Calving date is before date of birth' });
+        const calving = await Calving.create({ cowId:id, date:d, notes: notes||'', source:'manual', community: req.communityId || null });
+        // A manual entry later than the current last calving becomes the last calving
+        if(!cow.lastCalving || d > new Date(cow.lastCalving)) await Cow.updateOne({ _id:id, ...communityFilter }, { lastCalving: d });
+        await logAudit({ cowId:id, action:'calving.add', actor:'override', payload:{ calvingId: calving._id, date: d, notes: notes||'' }, community: req.communityId || null });
+        res.status(201).json({ calving });
+    }catch(err){ console.error('Add calving error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Remove a calving history entry (admin action); lastCalving is left to the calving routes
+app.delete('/cow/:id/calvings/:calvingId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, calvingId } = req.params;
+        if(!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(calvingId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const calving = await Calving.findOneAndDelete({ _id: calvingId, cowId:id, ...communityFilter }).lean();
+        if(!calving) return res.status(404).json({ error:'Calving not found' });
+        await logAudit({ cowId:id, action:'calving.delete', actor:'override', payload:{ snapshot: calving }, community: req.communityId || null });
+        res.json({ ok:true, deletedId: calving._id });
+    }catch(err){ console.error('Delete calving error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
 // Admin endpoint to run graduation now (override required)
 app.post('/admin/graduate-calves', async (req,res)=>{
     try{
@@ -1348,19 +3314,14 @@ app.post('/admin/graduate-calves', async (req,res)=>{
 // Background auto-graduation (daily)
 setInterval(()=>{ autoGraduateCalves().catch(()=>{}); }, 24*60*60*1000);
 
-// Lookup by cow number (for lineage links)
+// Lookup by cow number (old lineage links); the profile itself lives at /profile/cow/:id
 app.get('/profile/cow/number/:number', async (req,res)=>{
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const cow = await Cow.findOne({ cowNumber: req.params.number, ...communityFilter }).lean();
+        const cow = await Cow.findOne({ cowNumber: req.params.number, ...communityFilter }).select('_id').lean();
         if (!cow) return res.status(404).send('Cow not found');
-        const [settings, insems] = await Promise.all([
-            Settings.findOne(communityFilter).lean(),
-            Insemination.find({ cowId: cow._id, ...communityFilter }).lean()
-        ]);
-        const repro = buildPregnancyInfo(cow, settings, insems);
-        res.render('profile-cow', { title:'Cow Profile', cow, settings, insems, repro, override: !!req.session.cowOverride });
+        res.redirect(`/profile/cow/${cow._id}`);
     } catch (err){ console.error(err); res.status(500).send('Internal Server Error'); }
 });
 
@@ -1369,9 +3330,9 @@ app.get('/profile/bull/number/:number', async (req,res)=>{
     try {
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const bull = await Bull.findOne({ bullNumber: req.params.number, ...communityFilter }).lean();
+        const bull = await Bull.findOne({ bullNumber: req.params.number, ...communityFilter }).select('_id').lean();
         if (!bull) return res.status(404).send('Bull not found');
-        res.render('profile-bull', { title:'Bull Profile', bull });
+        res.redirect(`/profile/bull/${bull._id}`);
     } catch (err){ console.error(err); res.status(500).send('Internal Server Error'); }
 });
 
@@ -1397,7 +3358,15 @@ app.get('/profile/calf/:id', async (req,res)=>{
         if (!calf) return res.status(404).send('Calf not found');
         const settings = await Settings.findOne(communityFilter).lean();
         const gradInfo = getCalfGraduationInfo(calf, settings);
-        res.render('profile-calf', { title:'Calf Profile', calf, gradInfo, override: !!req.session.cowOverride });
+        const treatments = await Treatment.find({ entityType:'calf', entityId: calf._id, ...communityFilter }).sort({ date:-1 }).lean();
+        const health = await loadHealthSchedule('calf', calf, communityFilter);
+        const pen = await loadPen('calf', calf, communityFilter);
+        const bodyRecords = await BodyRecord.find({ entityType:'calf', entityId: calf._id, ...communityFilter }).sort({ date:1 }).lean();
+        const growth = BodyRecord.growth(bodyRecords, calf, BodyRecord.growthTarget(calf, settings));
+        const arrival = calf.arrivedAt ? await findArrival('calf', calf._id, communityFilter) : null;
+        const inbreeding = inbreedingPct((await loadKinship(communityFilter)).inbreeding(calf._id));
+        const genetics = await loadGenetics('calf', calf, settings, communityFilter);
+        res.render('profile-calf', { title:'Calf Profile', calf, gradInfo, treatments, health, bodyRecords, growth, arrival, pen, inbreeding, genetics, override: !!req.session.cowOverride });
     } catch (err){ console.error(err); res.status(500).send('Internal Server Error'); }
 });
 
@@ -1444,15 +3413,22 @@ app.post('/calf/:id/graduate', async (req,res)=>{
                 cowName: calf.calfName || '',
                 cowNumber: '',
                 race: calf.calfBreed || '',
+                breeds: calf.breeds || [],
                 dob: calf.birthDate,
                 notes: (calf.notes||'') + `\nGraduated from calf on ${now.toLocaleDateString()}`,
                 profileImageUrl: calf.profileImageUrl || '',
+                mother: calf.mother || null,
+                sire: calf.sire || null,
                 motherCowNumber: calf.motherCowNumber || '',
                 motherCowName: calf.motherCowName || '',
                 motherCowBreed: calf.motherCowBreed || '',
                 sireBullNumber: calf.sireBullNumber || '',
                 sireBullName: calf.sireBullName || '',
                 sireBullBreed: calf.sireBullBreed || '',
+                arrivedAt: calf.arrivedAt || null,
+                quarantineUntil: calf.quarantineUntil || null,
+                location: calf.location || null,
+                locationSince: calf.locationSince || null,
                 community: calf.community || null
             });
         } else {
@@ -1461,22 +3437,29 @@ app.post('/calf/:id/graduate', async (req,res)=>{
                 bullName: calf.calfName || '',
                 bullNumber: '',
                 race: calf.calfBreed || '',
+                breeds: calf.breeds || [],
                 dob: calf.birthDate,
                 notes: (calf.notes||'') + `\nGraduated from calf on ${now.toLocaleDateString()}`,
                 profileImageUrl: calf.profileImageUrl || '',
+                mother: calf.mother || null,
+                sire: calf.sire || null,
                 motherCowNumber: calf.motherCowNumber || '',
                 motherCowName: calf.motherCowName || '',
                 motherCowBreed: calf.motherCowBreed || '',
                 sireBullNumber: calf.sireBullNumber || '',
                 sireBullName: calf.sireBullName || '',
                 sireBullBreed: calf.sireBullBreed || '',
+                arrivedAt: calf.arrivedAt || null,
+                quarantineUntil: calf.quarantineUntil || null,
+                location: calf.location || null,
+                locationSince: calf.locationSince || null,
                 community: calf.community || null
             });
         }
         calf.graduated = true; calf.graduatedAt = now; calf.adultType = adultType; calf.adultId = adult._id; await calf.save();
         // Link audit to mother cow if available
         const actor = (forced && overrideActive) ? 'override' : 'user';
-        if(calf.motherCowNumber){ const mother = await Cow.findOne({ cowNumber: calf.motherCowNumber, ...communityFilter }).lean(); if(mother){ await logAudit({ cowId: mother._id, action:'calf.graduate', actor, payload:{ calfId: calf._id, calfName: calf.calfName || '', gender: calf.gender, adultType, adultId: adult._id, forced: !!forced }, community: calf.community || null }); } }
+        if(calf.mother){ const mother = await findMother(calf, communityFilter); if(mother){ await logAudit({ cowId: mother._id, action:'calf.graduate', actor, payload:{ calfId: calf._id, calfName: calf.calfName || '', gender: calf.gender, adultType, adultId: adult._id, forced: !!forced }, community: calf.community || null }); } }
         return res.json({ ok:true, adult: { id:String(adult._id), type: adultType } });
     }catch(err){ console.error('Manual graduation error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1519,6 +3502,16 @@ app.get('/profile/nav/:type/:id', async (req,res)=>{
 
 // Lineage endpoints: provide minimal graph of nodes and edges
 // Format: { nodes: [ { _id, type, label, number, race, dob, isInsemination? } ], edges: [ { from, to, relation } ] }
+// Stand-in parents for a bought animal whose dam or sire is not in the herd records. The number
+// and name given by the seller are kept; without them the parent is shown as unknown.
+function unknownParentNodes(doc, found){
+    if (!doc || !doc.arrivedAt) return [];
+    const out = [];
+    if (!found.mother) out.push({ relation:'mother', _id:`unknown-mother-${doc._id}`, type:'cow', unknown:true, name: doc.motherCowName||'', number: doc.motherCowNumber||'', race: doc.motherCowBreed||'', dob:null, label: doc.motherCowName || (doc.motherCowNumber ? 'Dam' : 'Unknown dam') });
+    if (!found.sire) out.push({ relation:'sire', _id:`unknown-sire-${doc._id}`, type:'bull', unknown:true, name: doc.sireBullName||'', number: doc.sireBullNumber||'', race: doc.sireBullBreed||'', dob:null, label: doc.sireBullName || (doc.sireBullNumber ? 'Sire' : 'Unknown sire') });
+    return out;
+}
+
 app.get('/lineage/calf/:id', async (req,res)=>{
     try{
         const { id } = req.params; if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid calf id' });
@@ -1527,14 +3520,14 @@ app.get('/lineage/calf/:id', async (req,res)=>{
         const calf = await Calf.findOne({ _id: id, ...communityFilter }).lean(); if(!calf) return res.status(404).json({ error:'Calf not found' });
         const nodes=[]; const edges=[]; const byKey=new Map();
         function addNode(doc, type){ if(!doc) return null; const key=String(doc._id); if(byKey.has(key)) return byKey.get(key); const node={ _id:key, type, label: (type==='cow'? (doc.cowName||doc.cowNumber||'Cow') : type==='bull'? (doc.bullName||doc.bullNumber||'Bull') : (doc.calfName||'Calf')), number: (type==='cow'? doc.cowNumber : type==='bull'? doc.bullNumber : ''), race: (type==='cow'? doc.race : type==='bull'? doc.race : doc.calfBreed), dob: (type==='cow'? doc.dob : type==='bull'? doc.dob : doc.birthDate) };
-            if(type==='bull' && doc.isInsemination) node.isInsemination=true; nodes.push(node); byKey.set(key,node); return node; }
+            if(type==='bull' && doc.isInsemination) node.isInsemination=true; if(doc.arrivedAt) node.purchased=true; nodes.push(node); byKey.set(key,node); return node; }
         function addEdge(fromId,toId,relation){ edges.push({ from:String(fromId), to:String(toId), relation }); }
         const self = addNode(calf,'calf');
-        let mother=null, sire=null;
-        if(calf.motherCowNumber){ mother = await Cow.findOne({ cowNumber: calf.motherCowNumber, ...communityFilter }).lean(); }
-        if(calf.sireBullNumber){ sire = await Bull.findOne({ bullNumber: calf.sireBullNumber, ...communityFilter }).lean(); }
+        const [mother, sire] = await Promise.all([findMother(calf, communityFilter), findSire(calf, communityFilter)]);
         if(mother){ addNode(mother,'cow'); addEdge(mother._id, self._id, 'mother'); }
         if(sire){ addNode(sire,'bull'); addEdge(sire._id, self._id, 'sire'); }
+        for(const { relation, ...u } of unknownParentNodes(calf, { mother, sire })){ nodes.push(u); addEdge(u._id, self._id, relation); }
+        if(calf.arrivedAt) self.parentsUnknown = !mother && !sire;
         return res.json({ nodes, edges });
     }catch(err){ console.error('Lineage calf error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1547,18 +3540,18 @@ app.get('/lineage/cow/:id', async (req,res)=>{
         const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean(); if(!cow) return res.status(404).json({ error:'Cow not found' });
         const nodes=[]; const edges=[]; const byKey=new Map();
         function addNode(doc, type){ if(!doc) return null; const key=String(doc._id); if(byKey.has(key)) return byKey.get(key); const node={ _id:key, type, label: (type==='cow'? (doc.cowName||doc.cowNumber||'Cow') : type==='bull'? (doc.bullName||doc.bullNumber||'Bull') : (doc.calfName||'Calf')), number: (type==='cow'? doc.cowNumber : type==='bull'? doc.bullNumber : ''), race: (type==='cow'? doc.race : type==='bull'? doc.race : doc.calfBreed), dob: (type==='cow'? doc.dob : type==='bull'? doc.dob : doc.birthDate) };
-            if(type==='bull' && doc.isInsemination) node.isInsemination=true; nodes.push(node); byKey.set(key,node); return node; }
+            if(type==='bull' && doc.isInsemination) node.isInsemination=true; if(doc.arrivedAt) node.purchased=true; nodes.push(node); byKey.set(key,node); return node; }
         function addEdge(fromId,toId,relation){ edges.push({ from:String(fromId), to:String(toId), relation }); }
         const self = addNode(cow,'cow');
         // Parents of cow
-        let mother=null, sire=null;
-        if(cow.motherCowNumber){ mother = await Cow.findOne({ cowNumber: cow.motherCowNumber, ...communityFilter }).lean(); }
-        if(cow.sireBullNumber){ sire = await Bull.findOne({ bullNumber: cow.sireBullNumber, ...communityFilter }).lean(); }
+        const [mother, sire] = await Promise.all([findMother(cow, communityFilter), findSire(cow, communityFilter)]);
         if(mother){ addNode(mother,'cow'); addEdge(mother._id, self._id, 'mother'); }
         if(sire){ addNode(sire,'bull'); addEdge(sire._id, self._id, 'sire'); }
+        for(const { relation, ...u } of unknownParentNodes(cow, { mother, sire })){ nodes.push(u); addEdge(u._id, self._id, relation); }
+        if(cow.arrivedAt) self.parentsUnknown = !mother && !sire;
         // Offspring: calves where this cow is the mother
-        const kids = await Calf.find({ motherCowNumber: cow.cowNumber, ...communityFilter }).lean();
-        for(const k of kids){ const kn = addNode(k,'calf'); addEdge(self._id, k._id, 'offspring'); if(k.sireBullNumber){ const kb = await Bull.findOne({ bullNumber: k.sireBullNumber, ...communityFilter }).lean(); if(kb){ addNode(kb,'bull'); addEdge(kb._id, k._id, 'sire'); } } }
+        const kids = await Calf.find({ mother: cow._id, ...communityFilter }).lean();
+        for(const k of kids){ const kn = addNode(k,'calf'); addEdge(self._id, k._id, 'offspring'); if(k.sire){ const kb = await findSire(k, communityFilter); if(kb){ addNode(kb,'bull'); addEdge(kb._id, k._id, 'sire'); } } }
         return res.json({ nodes, edges });
     }catch(err){ console.error('Lineage cow error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1574,8 +3567,11 @@ app.get('/cow-profile', async (req, res) => {
         if (!cow) return res.status(404).json({ error: 'Cow not found' });
         const settings = await Settings.findOne(communityFilter).lean();
         const records = await Insemination.find({ cowId: id, ...communityFilter }).sort({ date: -1 }).lean();
-        const repro = buildPregnancyInfo(cow, settings, records);
-        res.json({ cow, reproduction: repro, override: !!req.session.cowOverride });
+        const heats = await Heat.find({ cowId: id, ...communityFilter }).lean();
+        const pregChecks = await PregnancyCheck.find({ cowId: id, ...communityFilter }).lean();
+        const calvings = await Calving.find({ cowId: id, ...communityFilter }).lean();
+        const repro = buildPregnancyInfo(cow, settings, records, { heats, pregChecks });
+        res.json({ cow, reproduction: repro, calving: Calving.summarize(cow, calvings), override: !!req.session.cowOverride });
     } catch (err) {
         console.error('Error generating cow profile:', err);
         res.status(500).json({ error: 'Internal Server Error' });
@@ -1617,7 +3613,7 @@ app.post('/override/logout', (req,res)=>{
 // Create new insemination attempt for a cow
 app.post('/cow/:id/insemination', async (req,res)=>{
     try {
-        const { id } = req.params; const { date, notes, forced } = req.body;
+        const { id } = req.params; const { date, notes, forced, sireBullId, sireBullNumber, strawCode, technician, allowNoStock, allowRelative } = req.body;
         if (forced && !req.session.cowOverride) return res.status(403).json({ error:'Override required for forced attempt' });
         if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid cow id' });
         // Apply community filter for data isolation
@@ -1629,14 +3625,28 @@ app.post('/cow/:id/insemination', async (req,res)=>{
         if(!cow) return res.status(404).json({ error:'Cow not found' });
         const d = date ? new Date(date) : new Date();
         if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
-        const postpartumStartDays = settings?.postpartumInseminationStartDays || 60;
-        if (!forced && cow.lastCalving){
-            const earliest = new Date(cow.lastCalving); earliest.setDate(earliest.getDate() + postpartumStartDays);
-            if (d < earliest) return res.status(400).json({ error:'Too early after last calving', code:'postpartum_window', earliest });
-        }
-        const attempt = await Insemination.create({ cowId: id, date: d, confirmedPregnant: false, notes: notes||'', forced: !!forced, community: req.communityId || null });
-        await logAudit({ cowId:id, inseminationId: attempt._id, action: forced? 'insemination.forced':'insemination.add', actor: (forced && req.session.cowOverride)? 'override':'user', payload:{ date:d, notes: notes||'' }, community: req.communityId || null });
-        res.status(201).json(attempt);
+        const earliest = postpartumEarliest(cow, settings);
+        if (!forced && earliest && d < earliest) return res.status(400).json({ error:'Too early after last calving', code:'postpartum_window', earliest });
+        if (sireBullId && !mongoose.isValidObjectId(sireBullId)) return res.status(400).json({ error:'Invalid sire bull id' });
+        const sire = await resolveInseminationSire({ sireBullId, sireBullNumber }, communityFilter);
+        if (sireBullId && !sire.sireBull) return res.status(404).json({ error:'Sire bull not found' });
+        // Ask before a service between close relatives (before a straw is used up)
+        const relative = allowRelative ? null : await closeRelativeSire(cow, sire.sireBull, settings, communityFilter);
+        if (relative) return res.status(409).json({ error:'Sire is a close relative of this cow', code:'close_relative', ...relative });
+        const service = { ...sire, strawCode: strawCode ? String(strawCode).trim() : '', technician: technician ? String(technician).trim() : '' };
+        // Use up a straw from the semen inventory; refuse at zero stock unless the user accepts recording without one
+        const stock = await takeSemenStraw(service, communityFilter);
+        let warning = null;
+        if (stock.tracked && !stock.batch){
+            if (!allowNoStock) return res.status(409).json({ error:'No straws in stock for this sire', code:'no_stock' });
+            warning = 'No straws in stock for this sire; inventory was not updated';
+        }
+        if (stock.batch){ service.semenBatch = stock.batch._id; if (!service.strawCode) service.strawCode = stock.batch.batchCode || ''; }
+        // The straw goes back if the service cannot be saved
+        const attempt = await Insemination.create({ cowId: id, date: d, confirmedPregnant: false, notes: notes||'', forced: !!forced, ...service, community: req.communityId || null })
+            .catch(async err=>{ if (stock.batch) await returnSemenStraw(stock.batch._id, communityFilter); throw err; });
+        await logAudit({ cowId:id, inseminationId: attempt._id, action: forced? 'insemination.forced':'insemination.add', actor: (forced && req.session.cowOverride)? 'override':'user', payload:{ date:d, notes: notes||'', ...service }, community: req.communityId || null });
+        res.status(201).json(warning ? { ...attempt.toObject(), warning } : attempt);
     } catch(err){ console.error('Add insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
@@ -1645,130 +3655,958 @@ app.post('/cow/:id/insemination/:inseminationId/notes', async (req,res)=>{
 // Disabled auto-graduation; graduation is manual via UI
 });
 
-// Confirm pregnancy on an existing insemination attempt
-app.post('/cow/:id/insemination/:inseminationId/confirm', async (req,res)=>{
-    try {
-        const { id, inseminationId } = req.params;
+// Confirm pregnancy on an existing insemination attempt
+app.post('/cow/:id/insemination/:inseminationId/confirm', async (req,res)=>{
+    try {
+        const { id, inseminationId } = req.params;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const settings = await Settings.findOne(communityFilter).lean();
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
+        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
+        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
+        // A recorded loss stays counted until it is undone through its own route
+        if(doc.pregnancyLoss) return res.status(409).json({ error:'A pregnancy loss is recorded on this insemination; undo the loss first', code:'pregnancy_loss', undo:`/cow/${id}/insemination/${inseminationId}/loss/undo` });
+        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
+        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
+        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { confirmedPregnant: true, failed: false }, { new:true }).lean();
+        await logAudit({ cowId:id, inseminationId, action:'insemination.confirm', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
+        res.json(attempt);
+    } catch(err){ console.error('Confirm insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record the loss (abortion) of a confirmed pregnancy; the cow is reopened for breeding
+app.post('/cow/:id/insemination/:inseminationId/loss', async (req,res)=>{
+    try {
+        const { id, inseminationId } = req.params; const { date, cause, notes, gestationDay } = req.body;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
+        const causes = Insemination.schema.path('pregnancyLoss').schema.path('cause').enumValues;
+        if (cause && !causes.includes(cause)) return res.status(400).json({ error:'Invalid cause', allowed: causes });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        if (gestationDay !== undefined && gestationDay !== null && gestationDay !== '' && !(Number(gestationDay) >= 0)) return res.status(400).json({ error:'Invalid gestation day' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
+        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
+        if(!doc.confirmedPregnant) return res.status(400).json({ error:'Only a confirmed pregnancy can be marked lost' });
+        if(d < new Date(doc.date)) return res.status(400).json({ error:'Loss date is before the insemination' });
+        const attempt = await recordPregnancyLoss(doc, { date: d, cause, notes, gestationDay }, communityFilter);
+        await logAudit({ cowId:id, inseminationId, action:'pregnancy.loss', actor:'user', payload:{ date: doc.date, ...attempt.pregnancyLoss }, community: req.communityId || null });
+        res.json(attempt);
+    } catch(err){ console.error('Pregnancy loss error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Undo a recorded pregnancy loss (back to confirmed pregnant)
+app.post('/cow/:id/insemination/:inseminationId/loss/undo', async (req,res)=>{
+    try {
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, inseminationId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
+        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
+        if(!doc.pregnancyLoss) return res.status(400).json({ error:'No pregnancy loss recorded' });
+        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { confirmedPregnant: true, failed: false, $unset: { pregnancyLoss: 1 } }, { new:true }).lean();
+        await logAudit({ cowId:id, inseminationId, action:'pregnancy.loss.undo', actor:'override', payload:{ date: doc.date, snapshot: doc.pregnancyLoss }, community: req.communityId || null });
+        res.json(attempt);
+    } catch(err){ console.error('Undo pregnancy loss error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Undo pregnancy confirmation (revert to pending status)
+app.post('/cow/:id/insemination/:inseminationId/unconfirm', async (req,res)=>{
+    try {
+        const { id, inseminationId } = req.params;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const settings = await Settings.findOne(communityFilter).lean();
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
+        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
+        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
+        // A recorded loss stays counted until it is undone through its own route
+        if(doc.pregnancyLoss) return res.status(409).json({ error:'A pregnancy loss is recorded on this insemination; undo the loss first', code:'pregnancy_loss', undo:`/cow/${id}/insemination/${inseminationId}/loss/undo` });
+        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
+        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
+        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { confirmedPregnant: false, failed: false }, { new:true }).lean();
+        await logAudit({ cowId:id, inseminationId, action:'insemination.unconfirm', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
+        res.json(attempt);
+    } catch(err){ console.error('Unconfirm insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Mark insemination attempt as failed (not pregnant after evaluation window)
+app.post('/cow/:id/insemination/:inseminationId/fail', async (req,res)=>{
+    try {
+        const { id, inseminationId } = req.params;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const settings = await Settings.findOne(communityFilter).lean();
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
+        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
+        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
+        // A recorded loss stays counted until it is undone through its own route
+        if(doc.pregnancyLoss) return res.status(409).json({ error:'A pregnancy loss is recorded on this insemination; undo the loss first', code:'pregnancy_loss', undo:`/cow/${id}/insemination/${inseminationId}/loss/undo` });
+        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
+        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
+        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { failed: true, confirmedPregnant: false }, { new:true }).lean();
+        await logAudit({ cowId:id, inseminationId, action:'insemination.fail', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
+        res.json(attempt);
+    } catch(err){ console.error('Fail insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a heat (estrus) observation
+app.post('/cow/:id/heat', async (req,res)=>{
+    try{
+        const { id } = req.params; const { date, sign, intensity, observer, notes } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const signs = Heat.schema.path('sign').enumValues; const intensities = Heat.schema.path('intensity').enumValues;
+        if (sign && !signs.includes(sign)) return res.status(400).json({ error:'Invalid sign', allowed: signs });
+        if (intensity && !intensities.includes(intensity)) return res.status(400).json({ error:'Invalid intensity', allowed: intensities });
+        const heat = await Heat.create({ cowId:id, date:d, sign: sign || undefined, intensity: intensity || undefined, observer: observer||'', notes: notes||'', community: req.communityId || null });
+        await logAudit({ cowId:id, action:'heat.add', actor:'user', payload:{ heatId: heat._id, date:d, sign: heat.sign, intensity: heat.intensity, observer: heat.observer }, community: req.communityId || null });
+        res.status(201).json(heat);
+    }catch(err){ console.error('Add heat error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// List heat observations for a cow (newest first)
+app.get('/cow/:id/heats', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const items = await Heat.find({ cowId:id, ...communityFilter }).sort({ date:-1 }).lean();
+        res.json({ items });
+    }catch(err){ console.error('List heats error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a heat observation
+app.delete('/cow/:id/heat/:heatId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, heatId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(heatId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const heat = await Heat.findOneAndDelete({ _id: heatId, cowId: id, ...communityFilter }).lean();
+        if(!heat) return res.status(404).json({ error:'Heat record not found' });
+        await logAudit({ cowId:id, action:'heat.delete', actor:'override', payload:{ snapshot: heat }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete heat error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a pregnancy diagnosis. The result is applied to the insemination it checks:
+// 'pregnant' confirms it, 'open' fails it, and 'lost' (recheck of a confirmed pregnancy) reopens the cow.
+// A vet diagnosis is the check itself, so no override is needed before the pregnancy check date.
+app.post('/cow/:id/pregnancy-check', async (req,res)=>{
+    try{
+        const { id } = req.params; const { inseminationId, date, method, result, vet, fetalAgeDays, twins, notes } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        if (inseminationId && !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid insemination id' });
+        const methods = PregnancyCheck.schema.path('method').enumValues; const results = PregnancyCheck.schema.path('result').enumValues;
+        if (method && !methods.includes(method)) return res.status(400).json({ error:'Invalid method', allowed: methods });
+        if (!results.includes(result)) return res.status(400).json({ error:'Invalid result', allowed: results });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const age = (fetalAgeDays === undefined || fetalAgeDays === null || fetalAgeDays === '') ? null : Number(fetalAgeDays);
+        if (age !== null && (!Number.isFinite(age) || age < 0 || age > 300)) return res.status(400).json({ error:'Invalid fetal age' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        // Default to the latest service on or before the check date
+        const ins = inseminationId
+            ? await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean()
+            : await Insemination.findOne({ cowId: id, date: { $lte: d }, ...communityFilter }).sort({ date:-1, _id:-1 }).lean();
+        if(!ins) return res.status(404).json({ error:'No insemination to diagnose' });
+        if (result === 'lost' && !ins.confirmedPregnant) return res.status(400).json({ error:'Only a confirmed pregnancy can be marked lost' });
+        if (result === 'open' && ins.confirmedPregnant) return res.status(400).json({ error:'Pregnancy is confirmed; record the recheck as lost', code:'use_lost' });
+        if (result === 'pregnant' && ins.pregnancyLoss) return res.status(409).json({ error:'A pregnancy loss is recorded on this insemination; undo the loss first', code:'pregnancy_loss', undo:`/cow/${id}/insemination/${ins._id}/loss/undo` });
+        // Before the pregnancy check date the service only changes with override, as on /confirm and /fail;
+        // the check itself is still recorded
+        const settings = await Settings.findOne(communityFilter).lean();
+        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(ins.date); checkDate.setDate(checkDate.getDate()+interval);
+        const changes = (result === 'pregnant' && !ins.confirmedPregnant) || (result === 'open' && !ins.failed);
+        const held = changes && new Date() < checkDate && !req.session.cowOverride;
+        const check = await PregnancyCheck.create({ cowId:id, insemination: ins._id, date:d, method: method || undefined, result, vet: vet||'', fetalAgeDays: result === 'pregnant' ? age : null, twins: result === 'pregnant' && (twins === true || twins === 'true' || twins === 'on'), recheck: !!ins.confirmedPregnant, notes: notes||'', community: req.communityId || null });
+        await logAudit({ cowId:id, inseminationId: ins._id, action:'pregcheck.add', actor:'user', payload:{ checkId: check._id, date:d, method: check.method, result, vet: check.vet, fetalAgeDays: check.fetalAgeDays, twins: check.twins }, community: req.communityId || null });
+        let attempt = ins;
+        if (result === 'pregnant' && !ins.confirmedPregnant && !held){
+            attempt = await Insemination.findOneAndUpdate({ _id: ins._id, ...communityFilter }, { confirmedPregnant: true, failed: false }, { new:true }).lean();
+            await logAudit({ cowId:id, inseminationId: ins._id, action:'insemination.confirm', actor: req.session.cowOverride? 'override':'user', payload:{ date: ins.date, checkId: check._id, method: check.method }, community: req.communityId || null });
+        } else if (result === 'lost'){
+            attempt = await recordPregnancyLoss(ins, { date: d, notes: notes||'' }, communityFilter);
+            await logAudit({ cowId:id, inseminationId: ins._id, action:'pregnancy.loss', actor:'user', payload:{ date: ins.date, ...attempt.pregnancyLoss, checkId: check._id }, community: req.communityId || null });
+        } else if (result === 'open' && !ins.failed && !held){
+            attempt = await Insemination.findOneAndUpdate({ _id: ins._id, ...communityFilter }, { confirmedPregnant: false, failed: true }, { new:true }).lean();
+            await logAudit({ cowId:id, inseminationId: ins._id, action:'insemination.fail', actor: req.session.cowOverride? 'override':'user', payload:{ date: ins.date, checkId: check._id, method: check.method }, community: req.communityId || null });
+        }
+        res.status(201).json({ check, insemination: attempt, warning: held ? 'Check recorded; the service stays pending until the pregnancy check date unless override is on' : null });
+    }catch(err){ console.error('Add pregnancy check error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// List pregnancy checks for a cow (newest first)
+app.get('/cow/:id/pregnancy-checks', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const items = await PregnancyCheck.find({ cowId:id, ...communityFilter }).sort({ date:-1 }).lean();
+        res.json({ items });
+    }catch(err){ console.error('List pregnancy checks error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a pregnancy check record (the insemination status is left as is; use confirm/unconfirm to change it)
+app.delete('/cow/:id/pregnancy-check/:checkId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, checkId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(checkId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const check = await PregnancyCheck.findOneAndDelete({ _id: checkId, cowId: id, ...communityFilter }).lean();
+        if(!check) return res.status(404).json({ error:'Pregnancy check not found' });
+        await logAudit({ cowId:id, inseminationId: check.insemination, action:'pregcheck.delete', actor:'override', payload:{ snapshot: check }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete pregnancy check error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record the milk yield of a day (AM/PM kg, fat %, protein %); a second entry for the same day replaces the first
+app.post('/cow/:id/milk', async (req,res)=>{
+    try{
+        const { id } = req.params; const { date, amKg, pmKg, fatPct, proteinPct, notes } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        if (d > new Date()) return res.status(400).json({ error:'Recording date cannot be in the future' });
+        const day = new Date(d.toISOString().slice(0,10));
+        const num = v => (v === undefined || v === null || v === '') ? null : Number(v);
+        const fields = { amKg: num(amKg), pmKg: num(pmKg), fatPct: num(fatPct), proteinPct: num(proteinPct) };
+        if (Object.values(fields).some(v => v !== null && (isNaN(v) || v < 0))) return res.status(400).json({ error:'Values must be positive numbers' });
+        if (fields.amKg === null && fields.pmKg === null) return res.status(400).json({ error:'Enter the AM or PM yield' });
+        if ((fields.amKg || 0) + (fields.pmKg || 0) > 100) return res.status(400).json({ error:'Daily yield above 100 kg looks wrong' });
+        if (fields.fatPct !== null && fields.fatPct > 15) return res.status(400).json({ error:'Fat % must be 15 or less' });
+        if (fields.proteinPct !== null && fields.proteinPct > 10) return res.status(400).json({ error:'Protein % must be 10 or less' });
+        const record = await MilkRecord.findOneAndUpdate(
+            { cowId:id, date: day, ...communityFilter },
+            { ...fields, notes: notes || '', cowId:id, date: day, community: req.communityId || null },
+            { new:true, upsert:true, setDefaultsOnInsert:true }
+        ).lean();
+        await logAudit({ cowId:id, action:'milk.record', actor:'user', payload:{ recordId: record._id, date: day, ...fields }, community: req.communityId || null });
+        res.status(201).json(record);
+    }catch(err){ console.error('Record milk error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Milk records of a cow with days in milk and the current lactation summary
+app.get('/cow/:id/milk', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const [records, calvings] = await Promise.all([
+            MilkRecord.find({ cowId:id, ...communityFilter }).sort({ date:1 }).lean(),
+            Calving.find({ cowId:id, ...communityFilter }).select('date').lean()
+        ]);
+        const { items, ...lactation } = MilkRecord.lactation(records, [...calvings.map(c => c.date), cow.lastCalving]);
+        res.json({ items: items.reverse(), lactation });
+    }catch(err){ console.error('List milk records error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a milk record
+app.delete('/cow/:id/milk/:recordId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, recordId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(recordId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const record = await MilkRecord.findOneAndDelete({ _id: recordId, cowId: id, ...communityFilter }).lean();
+        if(!record) return res.status(404).json({ error:'Milk record not found' });
+        await logAudit({ cowId:id, action:'milk.delete', actor:'override', payload:{ snapshot: record }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete milk record error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a somatic cell count test: composite SCC and/or per-quarter values (x1000 cells/mL)
+app.post('/cow/:id/scc', async (req,res)=>{
+    try{
+        const { id } = req.params; const { date, scc, quarters, method, notes } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const methods = SccTest.schema.path('method').enumValues;
+        if (method && !methods.includes(method)) return res.status(400).json({ error:'Invalid method', allowed: methods });
+        const num = v => (v === undefined || v === null || v === '') ? null : Number(v);
+        const q = {}; for (const k of UDDER_QUARTERS){ const v = num(quarters?.[k]); if (v !== null) q[k] = v; }
+        const composite = num(scc);
+        if ([composite, ...Object.values(q)].some(v => v !== null && (isNaN(v) || v < 0))) return res.status(400).json({ error:'SCC values must be positive numbers' });
+        if (composite === null && !Object.keys(q).length) return res.status(400).json({ error:'Enter the cow SCC or at least one quarter' });
+        const test = await SccTest.create({ cowId:id, date:d, scc: composite, quarters: q, method: method || undefined, notes: notes||'', community: req.communityId || null });
+        await logAudit({ cowId:id, action:'scc.add', actor:'user', payload:{ testId: test._id, date:d, scc: composite, quarters: q }, community: req.communityId || null });
+        res.status(201).json(test);
+    }catch(err){ console.error('Add SCC test error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete an SCC test
+app.delete('/cow/:id/scc/:testId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, testId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(testId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const test = await SccTest.findOneAndDelete({ _id: testId, cowId: id, ...communityFilter }).lean();
+        if(!test) return res.status(404).json({ error:'SCC test not found' });
+        await logAudit({ cowId:id, action:'scc.delete', actor:'override', payload:{ snapshot: test }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete SCC test error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a clinical mastitis case on one or more quarters
+app.post('/cow/:id/mastitis', async (req,res)=>{
+    try{
+        const { id } = req.params; const { date, quarters, severity, pathogen, treatment, notes } = req.body;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const qs = [].concat(quarters || []);
+        if (!qs.length || qs.some(q => !UDDER_QUARTERS.includes(q))) return res.status(400).json({ error:'Select the affected quarters', allowed: UDDER_QUARTERS });
+        const severities = MastitisCase.schema.path('severity').enumValues; const pathogens = MastitisCase.schema.path('pathogen').enumValues;
+        if (severity && !severities.includes(severity)) return res.status(400).json({ error:'Invalid severity', allowed: severities });
+        if (pathogen && !pathogens.includes(pathogen)) return res.status(400).json({ error:'Invalid pathogen', allowed: pathogens });
+        const mcase = await MastitisCase.create({ cowId:id, date:d, quarters: [...new Set(qs)], severity: severity || undefined, pathogen: pathogen || undefined, treatment: treatment||'', notes: notes||'', community: req.communityId || null });
+        await logAudit({ cowId:id, action:'mastitis.add', actor:'user', payload:{ caseId: mcase._id, date:d, quarters: mcase.quarters, severity: mcase.severity, pathogen: mcase.pathogen, treatment: mcase.treatment }, community: req.communityId || null });
+        res.status(201).json(mcase);
+    }catch(err){ console.error('Add mastitis case error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Update a mastitis case: culture result, treatment and outcome
+app.post('/cow/:id/mastitis/:caseId', async (req,res)=>{
+    try{
+        const { id, caseId } = req.params; const { pathogen, treatment, outcome, outcomeDate, notes } = req.body;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(caseId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const mcase = await MastitisCase.findOne({ _id: caseId, cowId: id, ...communityFilter });
+        if(!mcase) return res.status(404).json({ error:'Mastitis case not found' });
+        const pathogens = MastitisCase.schema.path('pathogen').enumValues; const outcomes = MastitisCase.schema.path('outcome').enumValues;
+        if (pathogen && !pathogens.includes(pathogen)) return res.status(400).json({ error:'Invalid pathogen', allowed: pathogens });
+        if (outcome && !outcomes.includes(outcome)) return res.status(400).json({ error:'Invalid outcome', allowed: outcomes });
+        const prev = { pathogen: mcase.pathogen, treatment: mcase.treatment, outcome: mcase.outcome, outcomeDate: mcase.outcomeDate };
+        if (pathogen) mcase.pathogen = pathogen;
+        if (treatment !== undefined) mcase.treatment = treatment;
+        if (notes !== undefined) mcase.notes = notes;
+        if (outcome){
+            mcase.outcome = outcome;
+            if (outcome === 'ongoing') mcase.outcomeDate = undefined;
+            else {
+                const od = outcomeDate ? new Date(outcomeDate) : new Date();
+                if (isNaN(od.getTime())) return res.status(400).json({ error:'Invalid outcome date' });
+                if (od < new Date(mcase.date)) return res.status(400).json({ error:'Outcome date is before the case date' });
+                mcase.outcomeDate = od;
+            }
+        }
+        await mcase.save();
+        await logAudit({ cowId:id, action:'mastitis.update', actor:'user', payload:{ caseId: mcase._id, from: prev, to: { pathogen: mcase.pathogen, treatment: mcase.treatment, outcome: mcase.outcome, outcomeDate: mcase.outcomeDate } }, community: req.communityId || null });
+        res.json(mcase);
+    }catch(err){ console.error('Update mastitis case error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a mastitis case (admin correction)
+app.delete('/cow/:id/mastitis/:caseId', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id, caseId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(caseId)) return res.status(400).json({ error:'Invalid id format' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const mcase = await MastitisCase.findOneAndDelete({ _id: caseId, cowId: id, ...communityFilter }).lean();
+        if(!mcase) return res.status(404).json({ error:'Mastitis case not found' });
+        await logAudit({ cowId:id, action:'mastitis.delete', actor:'override', payload:{ snapshot: mcase }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete mastitis case error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// SCC tests and mastitis cases of a cow with the udder health summary
+app.get('/cow/:id/udder-health', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const cow = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        const [settings, sccTests, cases] = await Promise.all([
+            Settings.findOne(communityFilter).lean(),
+            SccTest.find({ cowId:id, ...communityFilter }).sort({ date:-1 }).lean(),
+            MastitisCase.find({ cowId:id, ...communityFilter }).sort({ date:-1 }).lean()
+        ]);
+        const { cases: _cases, ...summary } = buildUdderHealth(cow, settings, sccTests, cases);
+        res.json({ sccTests, cases, summary });
+    }catch(err){ console.error('Udder health error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Animals on an active milk or meat withdrawal with their names, soonest end first
+async function listWithdrawals(communityFilter){
+    const today = new Date(); today.setHours(0,0,0,0);
+    const running = await Treatment.find({ ...communityFilter, $or: [ { milkWithdrawalUntil: { $gte: today } }, { meatWithdrawalUntil: { $gte: today } } ] }).lean();
+    const items = [...Treatment.activeWithdrawals(running).values()];
+    const idsOf = type => items.filter(w => w.entityType === type).map(w => w.entityId);
+    const [cows, bulls, calves] = await Promise.all([
+        Cow.find({ ...communityFilter, _id: { $in: idsOf('cow') } }).select('cowName cowNumber').lean(),
+        Bull.find({ ...communityFilter, _id: { $in: idsOf('bull') } }).select('bullName bullNumber').lean(),
+        Calf.find({ ...communityFilter, _id: { $in: idsOf('calf') } }).select('calfName').lean(),
+    ]);
+    const names = new Map([
+        ...cows.map(c => [`cow:${c._id}`, c.cowName || (c.cowNumber ? '#' + c.cowNumber : 'Cow')]),
+        ...bulls.map(b => [`bull:${b._id}`, b.bullName || (b.bullNumber ? '#' + b.bullNumber : 'Bull')]),
+        ...calves.map(c => [`calf:${c._id}`, c.calfName || 'Calf']),
+    ]);
+    const endOf = w => Math.max(w.milkUntil ? w.milkUntil.getTime() : 0, w.meatUntil ? w.meatUntil.getTime() : 0);
+    return items.map(w => ({ ...w, name: names.get(`${w.entityType}:${w.entityId}`) || w.entityType }))
+        .sort((a,b)=> endOf(a) - endOf(b));
+}
+
+// Record a veterinary treatment; withdrawal end dates are counted from the treatment day
+app.post('/treatments', async (req,res)=>{
+    try{
+        const { entityType, entityId, date, diagnosis, drug, dose, route, vet, milkWithdrawalDays, meatWithdrawalDays, mastitisCase, notes } = req.body;
+        const Model = { cow: Cow, bull: Bull, calf: Calf }[entityType];
+        if (!Model) return res.status(400).json({ error:'Invalid entityType' });
+        if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Invalid entityId' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const animal = await Model.findOne({ _id: entityId, ...communityFilter }).lean();
+        if (!animal) return res.status(404).json({ error:'Animal not found' });
+        if (!drug || !String(drug).trim()) return res.status(400).json({ error:'Drug is required' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const routes = Treatment.schema.path('route').enumValues;
+        if (route && !routes.includes(route)) return res.status(400).json({ error:'Invalid route', allowed: routes });
+        const days = v => (v === undefined || v === null || v === '') ? 0 : Number(v);
+        const milkDays = days(milkWithdrawalDays), meatDays = days(meatWithdrawalDays);
+        if ([milkDays, meatDays].some(v => isNaN(v) || v < 0)) return res.status(400).json({ error:'Withdrawal days must be positive numbers' });
+        if (mastitisCase && !mongoose.isValidObjectId(mastitisCase)) return res.status(400).json({ error:'Invalid mastitis case id' });
+        const day = new Date(d); day.setHours(0,0,0,0);
+        const until = n => { if (!n) return undefined; const u = new Date(day); u.setDate(u.getDate() + n); return u; };
+        const treatment = await Treatment.create({
+            entityType, entityId, date: d, diagnosis: diagnosis||'', drug: String(drug).trim(), dose: dose||'', route: route || undefined, vet: vet||'',
+            milkWithdrawalDays: milkDays, meatWithdrawalDays: meatDays, milkWithdrawalUntil: until(milkDays), meatWithdrawalUntil: until(meatDays),
+            mastitisCase: mastitisCase || null, notes: notes||'', community: req.communityId || null
+        });
+        await logAudit({ cowId: entityType === 'cow' ? entityId : undefined, action:'treatment.add', actor:'user', payload:{ treatmentId: treatment._id, entityType, entityId, date: d, drug: treatment.drug, milkWithdrawalUntil: treatment.milkWithdrawalUntil, meatWithdrawalUntil: treatment.meatWithdrawalUntil }, community: req.communityId || null });
+        res.status(201).json(treatment);
+    }catch(err){ console.error('Add treatment error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Treatments of one animal (newest first)
+app.get('/treatments', async (req,res)=>{
+    try{
+        const { entityType, entityId } = req.query;
+        if (!['cow','bull','calf'].includes(entityType) || !mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Missing params' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const items = await Treatment.find({ ...communityFilter, entityType, entityId }).sort({ date:-1 }).lean();
+        res.json({ items, withdrawal: Treatment.activeWithdrawals(items).get(`${entityType}:${entityId}`) || null });
+    }catch(err){ console.error('List treatments error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Animals currently on milk or meat withdrawal
+app.get('/treatments/withdrawals', async (req,res)=>{
+    try{
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        res.json({ items: await listWithdrawals(communityFilter) });
+    }catch(err){ console.error('List withdrawals error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a treatment record (admin correction; ends its withdrawal)
+app.delete('/treatments/:id', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const treatment = await Treatment.findOneAndDelete({ _id: id, ...communityFilter }).lean();
+        if(!treatment) return res.status(404).json({ error:'Treatment not found' });
+        await logAudit({ cowId: treatment.entityType === 'cow' ? treatment.entityId : undefined, action:'treatment.delete', actor:'override', payload:{ snapshot: treatment }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete treatment error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a weight and/or body condition score for any animal
+app.post('/body-records', async (req,res)=>{
+    try{
+        const { entityType, entityId, date, weightKg, bcs, notes } = req.body;
+        const Model = { cow: Cow, bull: Bull, calf: Calf }[entityType];
+        if (!Model) return res.status(400).json({ error:'Invalid entityType' });
+        if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Invalid entityId' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const animal = await Model.findOne({ _id: entityId, ...communityFilter }).lean();
+        if (!animal) return res.status(404).json({ error:'Animal not found' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const num = v => (v === undefined || v === null || v === '') ? null : Number(v);
+        const kg = num(weightKg), score = num(bcs);
+        if (kg === null && score === null) return res.status(400).json({ error:'Weight or BCS is required' });
+        if (kg !== null && (isNaN(kg) || kg <= 0)) return res.status(400).json({ error:'Weight must be a positive number' });
+        if (score !== null && (isNaN(score) || score < 1 || score > 5 || Math.round(score * 4) !== score * 4)) return res.status(400).json({ error:'BCS must be 1 to 5 in quarter points' });
+        const record = await BodyRecord.create({ entityType, entityId, date: d, weightKg: kg ?? undefined, bcs: score ?? undefined, notes: notes||'', community: req.communityId || null });
+        res.status(201).json(record);
+    }catch(err){ console.error('Add body record error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Weight and BCS records of one animal (oldest first)
+app.get('/body-records', async (req,res)=>{
+    try{
+        const { entityType, entityId } = req.query;
+        if (!['cow','bull','calf'].includes(entityType) || !mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Missing params' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        res.json({ items: await BodyRecord.find({ ...communityFilter, entityType, entityId }).sort({ date:1 }).lean() });
+    }catch(err){ console.error('List body records error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+app.delete('/body-records/:id', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const record = await BodyRecord.findOneAndDelete({ _id: id, ...communityFilter }).lean();
+        if(!record) return res.status(404).json({ error:'Record not found' });
+        await logAudit({ cowId: record.entityType === 'cow' ? record.entityId : undefined, action:'bodyRecord.delete', actor:'override', payload:{ snapshot: record }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete body record error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a cow or bull leaving the herd (sold, culled, died, transferred). Unlike /delete-cattle
+// the animal and its history are kept; it only drops out of alerts and the active lists.
+app.post('/exits', async (req,res)=>{
+    try{
+        const { entityType, entityId, type, date, reason, buyer, price, notes } = req.body;
+        const Model = { cow: Cow, bull: Bull }[entityType];
+        if (!Model) return res.status(400).json({ error:'Invalid entityType' });
+        if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Invalid entityId' });
+        const types = ExitEvent.schema.path('type').enumValues;
+        if (!types.includes(type)) return res.status(400).json({ error:'Invalid exit type', allowed: types });
+        if (reason && !ExitEvent.reasons[reason]) return res.status(400).json({ error:'Invalid reason', allowed: Object.keys(ExitEvent.reasons) });
+        if ((type === 'culled' || type === 'died') && !reason) return res.status(400).json({ error:'A reason is required for culls and deaths' });
+        const d = date ? new Date(date) : new Date();
+        if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        const amount = (price === undefined || price === null || price === '') ? undefined : Number(price);
+        if (amount !== undefined && (isNaN(amount) || amount < 0)) return res.status(400).json({ error:'Invalid price' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const animal = await Model.findOne({ _id: entityId, ...communityFilter }).lean();
+        if (!animal) return res.status(404).json({ error:'Animal not found' });
+        if (animal.exitedAt) return res.status(409).json({ error:'Animal has already left the herd' });
+        const exit = await ExitEvent.create({
+            entityType, entityId, type, date: d, reason: reason || null, buyer: buyer||'', price: amount, notes: notes||'',
+            entityNumber: entityType === 'cow' ? (animal.cowNumber||'') : (animal.bullNumber||''),
+            entityName: entityType === 'cow' ? (animal.cowName||'') : (animal.bullName||''),
+            community: req.communityId || null
+        });
+        await Model.updateOne({ _id: entityId, ...communityFilter }, { exitedAt: d, exitType: type });
+        // Open protocol enrollments end with the cow
+        if (entityType === 'cow') await ProtocolEnrollment.updateMany({ cowId: entityId, status:'active', ...communityFilter }, { status:'cancelled' });
+        await logAudit({ cowId: entityType === 'cow' ? entityId : undefined, action:`${entityType}.exit`, actor:'user', payload:{ exitId: exit._id, entityType, entityId, type, date: d, reason: reason || null, buyer: exit.buyer, price: exit.price }, community: req.communityId || null });
+        res.status(201).json(exit);
+    }catch(err){ console.error('Record exit error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Exit history (newest first), optionally for one animal
+app.get('/exits', async (req,res)=>{
+    try{
+        const { entityType, entityId } = req.query;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const q = { ...communityFilter };
+        if (entityType || entityId){
+            if (!['cow','bull'].includes(entityType) || !mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Missing params' });
+            Object.assign(q, { entityType, entityId });
+        }
+        res.json({ items: await ExitEvent.find(q).sort({ date:-1 }).lean() });
+    }catch(err){ console.error('List exits error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Undo an exit recorded by mistake; the animal returns to the active herd
+app.delete('/exits/:id', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const exit = await ExitEvent.findOneAndDelete({ _id: id, ...communityFilter }).lean();
+        if(!exit) return res.status(404).json({ error:'Exit not found' });
+        const Model = exit.entityType === 'cow' ? Cow : Bull;
+        await Model.updateOne({ _id: exit.entityId, ...communityFilter }, { exitedAt: null, exitType: null });
+        await logAudit({ cowId: exit.entityType === 'cow' ? exit.entityId : undefined, action:`${exit.entityType}.exit.undo`, actor:'override', payload:{ exitId: exit._id, entityType: exit.entityType, entityId: exit.entityId, type: exit.type, date: exit.date }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Undo exit error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Arrival record of an animal; an adult bought as a calf keeps the record of the calf it graduated from
+async function findArrival(entityType, entityId, communityFilter){
+    const arrival = await ArrivalEvent.findOne({ entityType, entityId, ...communityFilter }).sort({ arrivalDate:-1 }).lean();
+    if (arrival || entityType === 'calf') return arrival;
+    const calf = await Calf.findOne({ adultId: entityId, ...communityFilter }).lean();
+    return calf ? await ArrivalEvent.findOne({ entityType:'calf', entityId: calf._id, ...communityFilter }).sort({ arrivalDate:-1 }).lean() : null;
+}
+
+// Copy arrival fields to the animal, and to its adult record when a bought calf has graduated since
+async function mirrorArrival(arrival, update, communityFilter){
+    const Model = { cow: Cow, bull: Bull, calf: Calf }[arrival.entityType];
+    await Model.updateOne({ _id: arrival.entityId, ...communityFilter }, update);
+    if (arrival.entityType !== 'calf') return;
+    const calf = await Calf.findOne({ _id: arrival.entityId, ...communityFilter }).lean();
+    if (calf && calf.adultId) await (calf.adultType === 'bull' ? Bull : Cow).updateOne({ _id: calf.adultId, ...communityFilter }, update);
+}
+
+// Record a bought animal arriving from another herd, with an optional health certificate upload
+// (multipart field 'certificate'). Without a quarantine end date the farm default is used.
+app.post('/arrivals', certificateUpload.single('certificate'), async (req,res)=>{
+    // An upload is stored before validation; drop it when the request is rejected
+    const reject = (status, body) => { if (req.file) fs.unlink(req.file.path, ()=>{}); return res.status(status).json(body); };
+    try{
+        const { entityType, entityId, seller, originHerd, price, arrivalDate, quarantineUntil, notes } = req.body;
+        const Model = { cow: Cow, bull: Bull, calf: Calf }[entityType];
+        if (!Model) return reject(400, { error:'Invalid entityType' });
+        if (!mongoose.isValidObjectId(entityId)) return reject(400, { error:'Invalid entityId' });
+        const arrived = arrivalDate ? new Date(arrivalDate) : new Date();
+        if (isNaN(arrived.getTime())) return reject(400, { error:'Invalid arrival date' });
+        const amount = (price === undefined || price === null || price === '') ? undefined : Number(price);
+        if (amount !== undefined && (isNaN(amount) || amount < 0)) return reject(400, { error:'Invalid price' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        let until = null;
+        if (quarantineUntil){
+            until = new Date(quarantineUntil);
+            if (isNaN(until.getTime())) return reject(400, { error:'Invalid quarantine end date' });
+            if (until < arrived) return reject(400, { error:'Quarantine cannot end before the arrival date' });
+        } else {
+            const settings = await Settings.findOne(communityFilter).lean();
+            const days = settings?.quarantineDays ?? 21;
+            if (days > 0){ until = new Date(arrived); until.setDate(until.getDate() + days); }
+        }
+        const animal = await Model.findOne({ _id: entityId, ...communityFilter }).lean();
+        if (!animal) return reject(404, { error:'Animal not found' });
+        if (animal.arrivedAt) return reject(409, { error:'Arrival already recorded for this animal' });
+        const arrival = await ArrivalEvent.create({
+            entityType, entityId, seller: seller||'', originHerd: originHerd||'', price: amount, arrivalDate: arrived, quarantineUntil: until, notes: notes||'',
+            healthCertificateUrl: req.file ? `/uploads/certificates/${req.file.filename}` : '',
+            healthCertificateName: req.file ? req.file.originalname : '',
+            entityNumber: entityType === 'cow' ? (animal.cowNumber||'') : entityType === 'bull' ? (animal.bullNumber||'') : '',
+            entityName: entityType === 'cow' ? (animal.cowName||'') : entityType === 'bull' ? (animal.bullName||'') : (animal.calfName||''),
+            community: req.communityId || null
+        });
+        await Model.updateOne({ _id: entityId, ...communityFilter }, { arrivedAt: arrived, quarantineUntil: until });
+        await logAudit({ cowId: entityType === 'cow' ? entityId : undefined, action:`${entityType}.arrival`, actor:'user', payload:{ arrivalId: arrival._id, entityType, entityId, seller: arrival.seller, originHerd: arrival.originHerd, price: arrival.price, arrivalDate: arrived, quarantineUntil: until }, community: req.communityId || null });
+        res.status(201).json(arrival);
+    }catch(err){ console.error('Record arrival error:', err); reject(500, { error:'Internal Server Error' }); }
+});
+
+// Arrival history (newest first), optionally for one animal
+app.get('/arrivals', async (req,res)=>{
+    try{
+        const { entityType, entityId } = req.query;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const q = { ...communityFilter };
+        if (entityType || entityId){
+            if (!['cow','bull','calf'].includes(entityType) || !mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Missing params' });
+            Object.assign(q, { entityType, entityId });
+        }
+        res.json({ items: await ArrivalEvent.find(q).sort({ arrivalDate:-1 }).lean() });
+    }catch(err){ console.error('List arrivals error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Attach or replace the health certificate of an arrival
+app.post('/arrivals/:id/certificate', certificateUpload.single('certificate'), async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!req.file) return res.status(400).json({ error:'No file uploaded' });
+        if (!mongoose.isValidObjectId(id)){ fs.unlink(req.file.path, ()=>{}); return res.status(400).json({ error:'Invalid id' }); }
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const arrival = await ArrivalEvent.findOneAndUpdate({ _id: id, ...communityFilter }, { healthCertificateUrl: `/uploads/certificates/${req.file.filename}`, healthCertificateName: req.file.originalname }, { new: true }).lean();
+        if (!arrival){ fs.unlink(req.file.path, ()=>{}); return res.status(404).json({ error:'Arrival not found' }); }
+        res.json(arrival);
+    }catch(err){ console.error('Upload certificate error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Move the quarantine end date; an empty date releases the animal today
+app.post('/arrivals/:id/quarantine', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const arrival = await ArrivalEvent.findOne({ _id: id, ...communityFilter });
+        if (!arrival) return res.status(404).json({ error:'Arrival not found' });
+        let until = new Date();
+        if (req.body.quarantineUntil){
+            until = new Date(req.body.quarantineUntil);
+            if (isNaN(until.getTime())) return res.status(400).json({ error:'Invalid quarantine end date' });
+            if (until < arrival.arrivalDate) return res.status(400).json({ error:'Quarantine cannot end before the arrival date' });
+        }
+        arrival.quarantineUntil = until;
+        await arrival.save();
+        await mirrorArrival(arrival, { quarantineUntil: until }, communityFilter);
+        await logAudit({ cowId: arrival.entityType === 'cow' ? arrival.entityId : undefined, action:`${arrival.entityType}.quarantine`, actor:'user', payload:{ arrivalId: arrival._id, entityType: arrival.entityType, entityId: arrival.entityId, quarantineUntil: until, released: !req.body.quarantineUntil }, community: req.communityId || null });
+        res.json(arrival);
+    }catch(err){ console.error('Update quarantine error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Undo an arrival recorded by mistake; the animal counts as home-bred again
+app.delete('/arrivals/:id', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const arrival = await ArrivalEvent.findOneAndDelete({ _id: id, ...communityFilter }).lean();
+        if(!arrival) return res.status(404).json({ error:'Arrival not found' });
+        await mirrorArrival(arrival, { arrivedAt: null, quarantineUntil: null }, communityFilter);
+        await logAudit({ cowId: arrival.entityType === 'cow' ? arrival.entityId : undefined, action:`${arrival.entityType}.arrival.undo`, actor:'override', payload:{ arrivalId: arrival._id, entityType: arrival.entityType, entityId: arrival.entityId, arrivalDate: arrival.arrivalDate }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Undo arrival error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Move an animal between pens, paddocks or groups
+app.post('/movements', async (req,res)=>{
+    try{
+        const { entityType, entityId, locationId, date, notes } = req.body;
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const result = await recordMovement({ entityType, entityId, locationId, date, notes, reason:'manual' }, communityFilter, req.communityId || null);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.status(201).json({ ...result.movement.toObject(), warning: result.warning });
+    }catch(err){ console.error('Record movement error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Movement history (newest first) of one animal or one location
+app.get('/movements', async (req,res)=>{
+    try{
+        const { entityType, entityId, locationId } = req.query;
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const settings = await Settings.findOne(communityFilter).lean();
-        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
-        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
-        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
-        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
-        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
-        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { confirmedPregnant: true, failed: false }, { new:true }).lean();
-        await logAudit({ cowId:id, inseminationId, action:'insemination.confirm', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
-        res.json(attempt);
-    } catch(err){ console.error('Confirm insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+        const q = { ...communityFilter };
+        if (locationId){
+            if (!mongoose.isValidObjectId(locationId)) return res.status(400).json({ error:'Invalid locationId' });
+            q.$or = [{ from: locationId }, { to: locationId }];
+        } else {
+            if (!['cow','bull','calf'].includes(entityType) || !mongoose.isValidObjectId(entityId)) return res.status(400).json({ error:'Missing params' });
+            Object.assign(q, { entityType, entityId });
+        }
+        res.json({ items: await Movement.find(q).sort({ date:-1, createdAt:-1 }).lean() });
+    }catch(err){ console.error('List movements error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
-// Undo pregnancy confirmation (revert to pending status)
-app.post('/cow/:id/insemination/:inseminationId/unconfirm', async (req,res)=>{
-    try {
-        const { id, inseminationId } = req.params;
+// Undo the latest move of an animal; it goes back to the location it came from
+app.delete('/movements/:id', async (req,res)=>{
+    try{
+        if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const settings = await Settings.findOne(communityFilter).lean();
-        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
-        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
-        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
-        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
-        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
-        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { confirmedPregnant: false, failed: false }, { new:true }).lean();
-        await logAudit({ cowId:id, inseminationId, action:'insemination.unconfirm', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
-        res.json(attempt);
-    } catch(err){ console.error('Unconfirm insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+        const movement = await Movement.findOne({ _id: id, ...communityFilter }).lean();
+        if (!movement) return res.status(404).json({ error:'Movement not found' });
+        const result = await undoMovement(movement, communityFilter, req.communityId || null, 'override');
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ ok:true });
+    }catch(err){ console.error('Undo movement error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
-// Mark insemination attempt as failed (not pregnant after evaluation window)
-app.post('/cow/:id/insemination/:inseminationId/fail', async (req,res)=>{
-    try {
-        const { id, inseminationId } = req.params;
+// Feed a cow her own ration (empty rationId: back onto the ration of her location)
+app.post('/cow/:id/ration', async (req,res)=>{
+    try{
+        const { id } = req.params; const { rationId } = req.body;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        if(rationId && !mongoose.isValidObjectId(rationId)) return res.status(400).json({ error:'Invalid ration id' });
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
-        const settings = await Settings.findOne(communityFilter).lean();
-        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(inseminationId)) return res.status(400).json({ error:'Invalid id format' });
-        const doc = await Insemination.findOne({ _id: inseminationId, cowId: id, ...communityFilter }).lean();
-        if(!doc) return res.status(404).json({ error:'Insemination attempt not found' });
-        const interval = settings?.inseminationIntervalDays || 90; const checkDate = new Date(doc.date); checkDate.setDate(checkDate.getDate()+interval);
-        if (new Date() < checkDate && !req.session.cowOverride) return res.status(403).json({ error:'Override required until pregnancy check date' });
-        const attempt = await Insemination.findOneAndUpdate({ _id: inseminationId, cowId: id, ...communityFilter }, { failed: true, confirmedPregnant: false }, { new:true }).lean();
-        await logAudit({ cowId:id, inseminationId, action:'insemination.fail', actor: req.session.cowOverride? 'override':'user', payload:{ date: attempt.date }, community: req.communityId || null });
-        res.json(attempt);
-    } catch(err){ console.error('Fail insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+        const [cow, ration] = await Promise.all([
+            Cow.findOne({ _id: id, ...communityFilter }).lean(),
+            rationId ? Ration.findOne({ _id: rationId, ...communityFilter }).lean() : null,
+        ]);
+        if(!cow) return res.status(404).json({ error:'Cow not found' });
+        if(rationId && !ration) return res.status(404).json({ error:'Ration not found' });
+        if(String(cow.ration || '') === String(rationId || '')) return res.status(409).json({ error: ration ? `Already fed ${ration.name}` : 'Cow already eats the ration of her location' });
+        await Cow.updateOne({ _id: id, ...communityFilter }, { ration: ration ? ration._id : null, rationSince: ration ? new Date() : null });
+        await logAudit({ cowId: id, action:'cow.ration', actor:'user', payload:{ from: cow.ration || null, to: ration ? ration._id : null, reason:'manual' }, community: req.communityId || null });
+        res.json({ ok:true });
+    }catch(err){ console.error('Cow ration error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
+// Birth details of one calf from the calving form; returns an error message when a value is out of range
+function parseBirthDetails(input){
+    const out = {};
+    const num = v => (v === undefined || v === null || v === '') ? undefined : Number(v);
+    const w = num(input.birthWeightKg);
+    if (w !== undefined){ if (isNaN(w) || w <= 0) return { error:'Invalid birth weight' }; out.birthWeightKg = w; }
+    const ease = num(input.calvingEase);
+    if (ease !== undefined){ if (!Number.isInteger(ease) || ease < 1 || ease > 5) return { error:'Calving ease must be a score from 1 to 5' }; out.calvingEase = ease; }
+    if (input.presentation){
+        if (!Calf.schema.path('presentation').enumValues.includes(input.presentation)) return { error:'Invalid presentation' };
+        out.presentation = input.presentation;
+    }
+    const hours = num(input.colostrumHours);
+    if (hours !== undefined){ if (isNaN(hours) || hours < 0) return { error:'Invalid colostrum time' }; out.colostrumHours = hours; }
+    if (input.colostrumQuality){
+        if (!Calf.schema.path('colostrumQuality').enumValues.includes(input.colostrumQuality)) return { error:'Invalid colostrum quality' };
+        out.colostrumQuality = input.colostrumQuality;
+    }
+    return { details: out };
+}
+
 // Record actual calving date (sets cow.lastCalving) ending the pregnancy cycle
 app.post('/cow/:id/calving', async (req,res)=>{
     try {
         if(!req.session.cowOverride) return res.status(403).json({ error:'Override required' });
-        const { id } = req.params; const { date, birthDate, notes, calfName, calfBreed, gender, status, motherCowNumber, sireBullNumber, calfGeneralNotes } = req.body;
+        const { id } = req.params; const { date, birthDate, notes, calfName, calfBreed, gender, status, motherCowNumber, sireBullNumber, calfGeneralNotes, birthWeightKg, correction } = req.body;
         if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const d = date ? new Date(date) : new Date();
         if (isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        // One entry per calf (twins, triplets); the single-calf fields are still accepted
+        const entries = (Array.isArray(req.body.calves) ? req.body.calves : [{ calfName, calfBreed, gender, status, birthWeightKg }])
+            .filter(c => c && c.gender && ['male','female'].includes(String(c.gender).toLowerCase()));
+        if (entries.length > 4) return res.status(400).json({ error:'At most 4 calves per calving' });
+        const births = [];
+        for (const c of entries){
+            const parsed = parseBirthDetails(c);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+            births.push({ entry: c, details: parsed.details });
+        }
         const prev = await Cow.findOne({ _id: id, ...communityFilter }).lean();
+        if(!prev) return res.status(404).json({ error:'Cow not found' });
+        // A correction moves the cow's latest calving record to the new date and never adds a calving;
+        // a cow whose last calving predates the history gets its record first
+        let toCorrect = (correction && !births.length) ? await Calving.findOne({ cowId:id, ...communityFilter }).sort({ date:-1, _id:-1 }).lean() : null;
+        if (correction && !births.length && !toCorrect && prev.lastCalving) toCorrect = (await Calving.create({ cowId:id, date: prev.lastCalving, source:'backfill', community: prev.community || null })).toObject();
+        if (correction && !births.length && !toCorrect) return res.status(409).json({ error:'No calving record to correct; record the calving instead', code:'no_calving' });
         const updated = await Cow.findOneAndUpdate({ _id: id, ...communityFilter }, { lastCalving: d }, { new:true }).lean();
         if(!updated) return res.status(404).json({ error:'Cow not found' });
-        // Create calf profile from birth data if gender is provided
-        let calf = null;
-        if(gender && ['male','female'].includes(String(gender).toLowerCase())){
+        // Confirmed insemination that led to this calving: one since the previous calving, so a service
+        // from an earlier lactation never gives this calf its sire
+        const since = prev.lastCalving && new Date(prev.lastCalving) < d ? { $gt: prev.lastCalving } : {};
+        const service = await Insemination.findOne({ cowId: id, confirmedPregnant: true, date: { $lte: d, ...since }, ...communityFilter }).sort({ date:-1, _id:-1 }).lean();
+        // Create calf profiles from birth data
+        const calves = [];
+        if (births.length){
             // If explicit birthDate provided, use it; else default to calving date
             let bd = d;
             if (birthDate) { const bdTry = new Date(birthDate); if(!isNaN(bdTry.getTime())) bd = bdTry; }
-            const calfDoc = {
-                calfName: calfName || 'Unnamed Calf',
-                calfBreed: calfBreed || (updated.race || 'Unknown'),
-                birthDate: bd,
-                gender: String(gender).toLowerCase(),
-                status: status && ['alive','miscarriage','died'].includes(String(status)) ? String(status) : 'alive',
-                notes: notes || '',
-                profileImageUrl: '',
+            const parents = {
+                mother: updated._id,
+                sire: null,
                 motherCowNumber: updated.cowNumber || '',
                 motherCowName: updated.cowName || '',
                 motherCowBreed: updated.race || '',
                 sireBullNumber: '',
                 sireBullName: '',
                 sireBullBreed: '',
-                community: req.communityId || null
             };
             // Override mother if a number was passed
             if (motherCowNumber){
                 const m = await Cow.findOne({ cowNumber: motherCowNumber, ...communityFilter }).lean();
-                if (m){ calfDoc.motherCowNumber = m.cowNumber || calfDoc.motherCowNumber; calfDoc.motherCowName = m.cowName || calfDoc.motherCowName; calfDoc.motherCowBreed = m.race || calfDoc.motherCowBreed; }
-                else { calfDoc.motherCowNumber = motherCowNumber; }
+                if (m){ parents.mother = m._id; parents.motherCowNumber = m.cowNumber || parents.motherCowNumber; parents.motherCowName = m.cowName || parents.motherCowName; parents.motherCowBreed = m.race || parents.motherCowBreed; }
+                else { parents.mother = null; parents.motherCowNumber = motherCowNumber; }
             }
             // Sire by number if provided
             if (sireBullNumber){
                 const b = await Bull.findOne({ bullNumber: sireBullNumber, ...communityFilter }).lean();
-                if (b){ calfDoc.sireBullNumber = b.bullNumber || ''; calfDoc.sireBullName = b.bullName || ''; calfDoc.sireBullBreed = b.race || ''; }
-                else { calfDoc.sireBullNumber = sireBullNumber; }
+                if (b){ parents.sire = b._id; parents.sireBullNumber = b.bullNumber || ''; parents.sireBullName = b.bullName || ''; parents.sireBullBreed = b.race || ''; }
+                else { parents.sireBullNumber = sireBullNumber; }
+            } else {
+                // Otherwise take the sire from the confirmed insemination that led to this calving
+                if (service && service.sireBullNumber){
+                    parents.sire = service.sireBull || null;
+                    parents.sireBullNumber = service.sireBullNumber || '';
+                    parents.sireBullName = service.sireBullName || '';
+                    parents.sireBullBreed = service.sireBullBreed || '';
+                }
             }
-            calf = await Calf.create(calfDoc);
-            // If separate general calf notes provided, append to calf.notes with delimiter
-            if (calfGeneralNotes){
-                const merged = [calf.notes || '', calfGeneralNotes].filter(Boolean).join('\n');
-                calf = await Calf.findByIdAndUpdate(calf._id, { notes: merged }, { new:true }).lean();
+            // A heifer born together with a bull calf is flagged as a likely freemartin
+            const mixedSex = births.some(b => String(b.entry.gender).toLowerCase() === 'male') && births.some(b => String(b.entry.gender).toLowerCase() === 'female');
+            for (const { entry, details } of births){
+                const g = String(entry.gender).toLowerCase();
+                const calfDoc = {
+                    calfName: entry.calfName || 'Unnamed Calf',
+                    ...(await breedFields('calfBreed', entry.calfBreed || updated.race || 'Unknown', req.communityId, parents)),
+                    birthDate: bd,
+                    gender: g,
+                    status: entry.status && ['alive','miscarriage','died'].includes(String(entry.status)) ? String(entry.status) : 'alive',
+                    // Calving notes, then this calf's notes, then the general calf notes
+                    notes: [notes || '', entry.notes || '', calfGeneralNotes || ''].filter(Boolean).join('\n'),
+                    profileImageUrl: '',
+                    ...parents,
+                    ...details,
+                    birthCount: births.length,
+                    freemartin: mixedSex && g === 'female',
+                    community: req.communityId || null
+                };
+                calves.push((await Calf.create(calfDoc)).toObject());
             }
         }
-        const audit = await Audit.create({ cowId:id, action:'cow.calving.set', actor:'override', payload:{ from: prev?.lastCalving || null, to: d, notes: notes||'', calfId: calf? calf._id : null }, community: req.communityId || null });
-        res.json({ cow: updated, auditId: audit._id, calf: calf });
+        const calf = calves[0] || null;
+        const eases = calves.map(c => c.calvingEase).filter(v => typeof v === 'number');
+        const corrected = toCorrect ? await Calving.findOneAndUpdate({ _id: toCorrect._id, ...communityFilter }, { date: d }, { new:true }).lean() : null;
+        const calving = corrected || await Calving.create({
+            cowId: id, date: d, insemination: service ? service._id : null, calves: calves.map(c => c._id),
+            calvingEase: eases.length ? Math.max(...eases) : undefined,
+            sireBullNumber: calf ? calf.sireBullNumber : (service?.sireBullNumber || ''), sireBullName: calf ? calf.sireBullName : (service?.sireBullName || ''),
+            notes: notes || '', community: req.communityId || null
+        });
+        const audit = await Audit.create({ cowId:id, action:'cow.calving.set', actor:'override', payload:{ from: prev?.lastCalving || null, to: d, notes: notes||'', calfId: calf? calf._id : null, calfIds: calves.map(c => c._id), calvingEase: calving.calvingEase ?? null, calvingId: corrected ? null : calving._id, correctedCalvingId: corrected ? corrected._id : null, correctedFrom: toCorrect ? toCorrect.date : null }, community: req.communityId || null });
+        res.json({ cow: updated, auditId: audit._id, calf, calves, calving });
     } catch(err){ console.error('Calving record error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
 // Create calf (general creation form with auto-fill by numbers)
 app.post('/calf', async (req,res)=>{
     try{
-        const { calfName, calfBreed, birthDate, gender, notes, motherCowNumber, sireBullNumber, status } = req.body;
+        const { calfName, calfBreed, birthDate, gender, notes, motherCowNumber, sireBullNumber, status, birthWeightKg } = req.body;
         if(!calfName || !calfBreed || !birthDate || !gender){ return res.status(400).json({ error:'Missing required fields', required:['calfName','calfBreed','birthDate','gender'] }); }
         // Apply community filter for data isolation
         const communityFilter = getCommunityFilter(req);
         const d = new Date(birthDate); if(isNaN(d.getTime())) return res.status(400).json({ error:'Invalid birthDate' });
         const doc = { calfName, calfBreed, birthDate:d, gender:String(gender).toLowerCase(), status: status && ['alive','miscarriage','died'].includes(String(status)) ? String(status) : 'alive', notes: notes||'', community: req.communityId || null };
-        if(motherCowNumber){ const m = await Cow.findOne({ cowNumber: motherCowNumber, ...communityFilter }).lean(); if(m){ doc.motherCowNumber = m.cowNumber||''; doc.motherCowName=m.cowName||''; doc.motherCowBreed=m.race||''; } else { doc.motherCowNumber = motherCowNumber; } }
-        if(sireBullNumber){ const b = await Bull.findOne({ bullNumber: sireBullNumber, ...communityFilter }).lean(); if(b){ doc.sireBullNumber=b.bullNumber||''; doc.sireBullName=b.bullName||''; doc.sireBullBreed=b.race||''; } else { doc.sireBullNumber = sireBullNumber; } }
+        if(birthWeightKg !== undefined && birthWeightKg !== '' && !isNaN(Number(birthWeightKg))) doc.birthWeightKg = Number(birthWeightKg);
+        if(motherCowNumber) doc.motherCowNumber = motherCowNumber;
+        if(sireBullNumber) doc.sireBullNumber = sireBullNumber;
+        await linkParents(doc, communityFilter);
+        Object.assign(doc, await breedFields('calfBreed', calfBreed, req.communityId, doc));
         const calf = await Calf.create(doc);
         res.json({ ok:true, calf });
     } catch(err){ console.error('Create calf error:', err); res.status(500).json({ error:'Internal Server Error' }); }
@@ -1801,7 +4639,9 @@ app.delete('/cow/:id/calving', async (req,res)=>{
         const prev = await Cow.findOne({ _id: id, ...communityFilter }).lean();
         const updated = await Cow.findOneAndUpdate({ _id: id, ...communityFilter }, { $unset: { lastCalving: 1 } }, { new:true }).lean();
         if(!updated) return res.status(404).json({ error:'Cow not found' });
-        const audit = await Audit.create({ cowId:id, action:'cow.calving.clear', actor:'override', payload:{ from: prev?.lastCalving || null }, community: req.communityId || null });
+        // The cleared date's calving record goes too; its snapshot lets the audit restore it
+        const calving = prev?.lastCalving ? await Calving.findOneAndDelete({ cowId:id, date: prev.lastCalving, ...communityFilter }).lean() : null;
+        const audit = await Audit.create({ cowId:id, action:'cow.calving.clear', actor:'override', payload:{ from: prev?.lastCalving || null, calving }, community: req.communityId || null });
         res.json({ cow: updated, auditId: audit._id });
     } catch(err){ console.error('Clear calving date error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
@@ -1820,6 +4660,7 @@ app.delete('/cow/:id/insemination/:inseminationId', async (req,res)=>{
         if(String(latest._id) !== String(inseminationId)) return res.status(400).json({ error:'Only latest attempt may be deleted' });
         const attempt = await Insemination.findOneAndDelete({ _id: latest._id, cowId: id, ...communityFilter }).lean();
         if(!attempt) return res.status(404).json({ error:'Insemination attempt not found' });
+        await returnSemenStraw(attempt.semenBatch, communityFilter);
         await logAudit({ cowId:id, inseminationId: attempt._id, action:'insemination.delete', actor:'override', payload:{ snapshot: attempt }, community: req.communityId || null });
         res.json({ ok: true, deletedId: attempt._id });
     } catch(err){ console.error('Delete insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
@@ -1837,6 +4678,7 @@ app.delete('/cow/:id/inseminations', async (req,res)=>{
         if(!attempts.length) return res.json({ ok:true, deleted:0 });
         const ids = attempts.map(a=> a._id);
         await Insemination.deleteMany({ cowId:id, ...communityFilter });
+        for (const a of attempts){ await returnSemenStraw(a.semenBatch, communityFilter); }
         const audit = await Audit.create({ cowId:id, action:'insemination.clearAll', actor:'override', payload:{ count: attempts.length, ids, snapshots: attempts }, community: req.communityId || null });
         res.json({ ok:true, deleted: attempts.length, auditId: audit._id });
     }catch(err){ console.error('Clear all inseminations error:', err); res.status(500).json({ error:'Internal Server Error' }); }
@@ -1865,9 +4707,13 @@ app.post('/cow/:id/insemination/restore/:auditId', async (req,res)=>{
         if (!cow) return res.status(404).json({ error:'Cow not found' });
         const a = await Audit.findOne({ _id: auditId, ...communityFilter }).lean(); if(!a || a.action!=='insemination.delete' || !a.payload || !a.payload.snapshot) return res.status(404).json({ error:'Restore snapshot not found' });
         const snap = a.payload.snapshot;
-        const restored = await Insemination.create({ cowId:id, date:snap.date, confirmedPregnant: !!snap.confirmedPregnant, failed: !!snap.failed, forced: !!snap.forced, notes: snap.notes||'', community: cow.community });
+        // The restored attempt takes its straw back out of the original batch (returned on delete).
+        // Without stock left there it keeps no batch, so deleting it again returns nothing.
+        const batch = await retakeSemenStraw(snap.semenBatch, communityFilter);
+        const noStock = !!snap.semenBatch && !batch;
+        const restored = await Insemination.create({ cowId:id, date:snap.date, confirmedPregnant: !!snap.confirmedPregnant, failed: !!snap.failed, forced: !!snap.forced, notes: snap.notes||'', ...inseminationServiceFields(snap), ...(noStock ? { semenBatch: null } : {}), pregnancyLoss: snap.pregnancyLoss || undefined, community: cow.community });
         await logAudit({ cowId:id, inseminationId: restored._id, action:'insemination.restore', actor:'override', payload:{ fromAudit:a._id }, community: cow.community });
-        res.json({ ok:true, attempt: restored });
+        res.json({ ok:true, attempt: restored, warning: noStock ? 'No straws left in the original batch; inventory was not updated' : null });
     } catch(err){ console.error('Restore insemination error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
@@ -1888,6 +4734,14 @@ app.post('/cow/:id/calving/restore/:auditId', async (req,res)=>{
         let updated;
         if(prev){ cow.lastCalving = new Date(prev); updated = await cow.save(); }
         else { cow.lastCalving = undefined; updated = await cow.save(); }
+        // Keep the calving history in step: undoing a set drops its record, undoing a clear brings it back
+        if(a.action === 'cow.calving.set' && a.payload.calvingId){ await Calving.deleteOne({ _id: a.payload.calvingId, ...communityFilter }); }
+        const correctedFrom = a.payload.correctedFrom || prev;
+        if(a.action === 'cow.calving.set' && a.payload.correctedCalvingId && correctedFrom){ await Calving.updateOne({ _id: a.payload.correctedCalvingId, ...communityFilter }, { date: new Date(correctedFrom) }); }
+        if(a.action === 'cow.calving.clear' && a.payload.calving){
+            const { _id, __v, createdAt, updatedAt, ...snap } = a.payload.calving;
+            await Calving.create({ ...snap, cowId: id, community: cow.community });
+        }
         await logAudit({ cowId:id, action:'cow.calving.restore', actor:'override', payload:{ fromAudit:a._id }, community: cow.community });
         res.json({ ok:true, cow: updated });
     } catch(err){ console.error('Restore calving error:', err); res.status(500).json({ error:'Internal Server Error' }); }
@@ -1913,14 +4767,519 @@ app.post('/cow/:id/inseminations/restore/:auditId', async (req,res)=>{
         const toCreate = snaps.filter(s=>{
             const key = new Date(s.date).toISOString().slice(0,10)+'|'+(s.notes||'');
             return !existingByKey.has(key);
-        }).map(s=> ({ cowId:id, date:s.date, confirmedPregnant: !!s.confirmedPregnant, failed: !!s.failed, forced: !!s.forced, notes: s.notes||'', community: cow.community }));
-        let created = [];
-        if(toCreate.length){ created = await Insemination.insertMany(toCreate); }
+        }).map(s=> ({ cowId:id, date:s.date, confirmedPregnant: !!s.confirmedPregnant, failed: !!s.failed, forced: !!s.forced, notes: s.notes||'', ...inseminationServiceFields(s), pregnancyLoss: s.pregnancyLoss || undefined, community: cow.community }));
+        let created = [], withoutStock = 0;
+        if(toCreate.length){
+            // Restored attempts take their straws back out of the original batches; one whose batch
+            // has no stock left keeps no batch, so deleting it again returns nothing
+            for (const c of toCreate){
+                if (c.semenBatch && !(await retakeSemenStraw(c.semenBatch, communityFilter))){ c.semenBatch = null; withoutStock++; }
+            }
+            created = await Insemination.insertMany(toCreate);
+        }
         await logAudit({ cowId:id, action:'insemination.restoreAll', actor:'override', payload:{ fromAudit:a._id, createdCount: created.length }, community: cow.community });
-        res.json({ ok:true, restored: created.length, total: snaps.length, missing: Math.max(0, snaps.length - (existing.length + created.length)) });
+        res.json({ ok:true, restored: created.length, total: snaps.length, missing: Math.max(0, snaps.length - (existing.length + created.length)), withoutStock,
+            warning: withoutStock ? `${withoutStock} restored attempt(s) had no straws left in their batch; inventory was not updated` : null });
     } catch(err){ console.error('Restore all inseminations error:', err); res.status(500).json({ error:'Internal Server Error' }); }
 });
 
+// ========== SEMEN INVENTORY ==========
+
+// Semen inventory page: stock per bull, tanks and purchase batches
+app.get('/semen-inventory', async (req,res)=>{
+    try{
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [tanks, batches, bulls, settings] = await Promise.all([
+            SemenTank.find(communityFilter).sort({ name:1 }).lean(),
+            SemenBatch.find(communityFilter).sort({ purchaseDate:-1, createdAt:-1 }).lean(),
+            Bull.find(communityFilter).sort({ isInsemination:-1, bullName:1 }).lean(),
+            Settings.findOne(communityFilter).lean(),
+        ]);
+        const bullById = new Map(bulls.map(b=> [String(b._id), b]));
+        const stockMap = new Map();
+        for (const b of batches){
+            const k = String(b.bull);
+            const cur = stockMap.get(k) || { bullId:k, bull: bullById.get(k) || null, name: b.bullName || b.bullNumber || 'Bull', number: b.bullNumber || '', batches:0, purchased:0, remaining:0, cost:0 };
+            cur.batches++; cur.purchased += (b.strawsPurchased||0); cur.remaining += (b.strawsRemaining||0); cur.cost += (b.costPerStraw||0) * (b.strawsPurchased||0);
+            stockMap.set(k, cur);
+        }
+        const stock = [...stockMap.values()].sort((a,b)=> a.remaining - b.remaining);
+        res.render('semen-inventory', { title:'Semen Inventory', tanks, batches, bulls, stock, lowStock: settings?.semenLowStockStraws ?? 5 });
+    }catch(err){ console.error('Semen inventory error:', err); res.status(500).send('Internal Server Error'); }
+});
+
+// Create a semen tank
+app.post('/semen/tanks', async (req,res)=>{
+    try{
+        const { name, location, canisters, notes } = req.body;
+        if(!name || !String(name).trim()) return res.status(400).json({ error:'Tank name is required' });
+        const list = Array.isArray(canisters) ? canisters : String(canisters||'').split(',');
+        const tank = await SemenTank.create({ name: String(name).trim(), location: location||'', canisters: list.map(c=> String(c).trim()).filter(Boolean), notes: notes||'', community: req.communityId || null });
+        res.status(201).json(tank);
+    }catch(err){ console.error('Create semen tank error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete an empty semen tank
+app.delete('/semen/tanks/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid tank id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const inUse = await SemenBatch.countDocuments({ tank:id, strawsRemaining: { $gt:0 }, ...communityFilter });
+        if(inUse) return res.status(400).json({ error:'Tank still holds straws' });
+        const tank = await SemenTank.findOneAndDelete({ _id:id, ...communityFilter }).lean();
+        if(!tank) return res.status(404).json({ error:'Tank not found' });
+        await SemenBatch.updateMany({ tank:id, ...communityFilter }, { $set: { tank:null, canister:'' } });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete semen tank error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a purchase batch of straws for a bull
+app.post('/semen/batches', async (req,res)=>{
+    try{
+        const { bullId, tankId, canister, batchCode, supplier, purchaseDate, straws, costPerStraw, totalCost, notes } = req.body;
+        if(!mongoose.isValidObjectId(bullId)) return res.status(400).json({ error:'Invalid bull id' });
+        if(tankId && !mongoose.isValidObjectId(tankId)) return res.status(400).json({ error:'Invalid tank id' });
+        const count = parseInt(straws, 10);
+        if(!Number.isFinite(count) || count <= 0) return res.status(400).json({ error:'Straw count must be a positive number' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [bull, tank] = await Promise.all([
+            Bull.findOne({ _id: bullId, ...communityFilter }).lean(),
+            tankId ? SemenTank.findOne({ _id: tankId, ...communityFilter }).lean() : null,
+        ]);
+        if(!bull) return res.status(404).json({ error:'Bull not found' });
+        if(tankId && !tank) return res.status(404).json({ error:'Tank not found' });
+        const d = purchaseDate ? new Date(purchaseDate) : new Date();
+        if(isNaN(d.getTime())) return res.status(400).json({ error:'Invalid purchase date' });
+        // Cost may be given per straw or for the whole batch
+        let unit = costPerStraw !== undefined && costPerStraw !== '' ? Number(costPerStraw) : null;
+        if(unit == null && totalCost !== undefined && totalCost !== '') unit = Number(totalCost) / count;
+        if(unit != null && !Number.isFinite(unit)) return res.status(400).json({ error:'Invalid cost' });
+        const batch = await SemenBatch.create({
+            bull: bull._id, bullNumber: bull.bullNumber || '', bullName: bull.bullName || '',
+            tank: tank ? tank._id : null, canister: canister || '', batchCode: batchCode ? String(batchCode).trim() : '',
+            supplier: supplier || '', purchaseDate: d, strawsPurchased: count, strawsRemaining: count,
+            costPerStraw: unit != null ? Math.round(unit*100)/100 : undefined, notes: notes || '',
+            community: req.communityId || null,
+        });
+        res.status(201).json(batch);
+    }catch(err){ console.error('Create semen batch error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Correct the remaining straw count of a batch (stocktake)
+app.post('/semen/batches/:id/adjust', async (req,res)=>{
+    try{
+        const { id } = req.params; const remaining = parseInt(req.body.strawsRemaining, 10);
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid batch id' });
+        if(!Number.isFinite(remaining) || remaining < 0) return res.status(400).json({ error:'Invalid straw count' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const batch = await SemenBatch.findOneAndUpdate({ _id:id, ...communityFilter }, { strawsRemaining: remaining }, { new:true }).lean();
+        if(!batch) return res.status(404).json({ error:'Batch not found' });
+        res.json(batch);
+    }catch(err){ console.error('Adjust semen batch error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a purchase batch (inseminations keep their straw code)
+app.delete('/semen/batches/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid batch id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const batch = await SemenBatch.findOneAndDelete({ _id:id, ...communityFilter }).lean();
+        if(!batch) return res.status(404).json({ error:'Batch not found' });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete semen batch error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// ========== FEED & RATIONS ==========
+
+// Feed plan of the community: ingredients with projected stock, rations with head counts
+async function loadFeedPlan(communityFilter, now){
+    const [ingredients, rations, locations, cows, bulls, calves] = await Promise.all([
+        FeedIngredient.find(communityFilter).sort({ name:1 }).lean(),
+        Ration.find(communityFilter).sort({ name:1 }).lean(),
+        Location.find(communityFilter).sort({ name:1 }).lean(),
+        Cow.find({ ...communityFilter, exitedAt: null }).select('ration location').lean(),
+        Bull.find({ ...communityFilter, exitedAt: null }).select('location').lean(),
+        Calf.find({ ...communityFilter, graduated: { $ne: true } }).select('location graduated').lean(),
+    ]);
+    return { ...buildFeedPlan({ ingredients, rations, locations, cows, bulls, calves }, now), locations, animals: { cows, bulls, calves } };
+}
+
+// Feed page: stock and days left per ingredient, rations and the ration of each location
+app.get('/feed-inventory', async (req,res)=>{
+    try{
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [plan, settings] = await Promise.all([ loadFeedPlan(communityFilter), Settings.findOne(communityFilter).lean() ]);
+        const headAt = new Map();
+        for (const a of [...plan.animals.cows, ...plan.animals.bulls, ...plan.animals.calves]){ if (a.location) headAt.set(String(a.location), (headAt.get(String(a.location)) || 0) + 1); }
+        const ownRation = plan.animals.cows.filter(c=> c.ration).length;
+        const locations = plan.locations.filter(l=> l.active !== false || l.ration).map(l=> ({ ...l, headcount: headAt.get(String(l._id)) || 0 }));
+        res.render('feed-inventory', { title:'Feed & Rations', ingredients: plan.ingredients, rations: plan.rations, locations, unfed: plan.unfed, ownRation, purposes: Location.purposes, lowDays: settings?.feedLowStockDays ?? 7 });
+    }catch(err){ console.error('Feed inventory error:', err); res.status(500).send('Internal Server Error'); }
+});
+
+// Feed alerts link like animal alerts; the ingredient lives on the feed page
+app.get('/profile/feed/:id', (req,res)=> res.redirect(`/feed-inventory#feed-${encodeURIComponent(req.params.id)}`));
+
+// Add a feed ingredient with its opening stock
+app.post('/feed/ingredients', async (req,res)=>{
+    try{
+        const { name, stockKg, costPerKg, notes } = req.body;
+        if(!name || !String(name).trim()) return res.status(400).json({ error:'Ingredient name is required' });
+        const stock = stockKg === undefined || stockKg === '' ? 0 : Number(stockKg);
+        if(!Number.isFinite(stock) || stock < 0) return res.status(400).json({ error:'Invalid stock' });
+        const cost = costPerKg === undefined || costPerKg === '' ? undefined : Number(costPerKg);
+        if(cost !== undefined && (!Number.isFinite(cost) || cost < 0)) return res.status(400).json({ error:'Invalid cost' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const existing = await FeedIngredient.findOne({ ...communityFilter, name: String(name).trim() }).lean();
+        if(existing) return res.status(409).json({ error:'An ingredient with this name already exists' });
+        const ingredient = await FeedIngredient.create({ name: String(name).trim(), stockKg: stock, stockAt: new Date(), costPerKg: cost, notes: notes || '', community: req.communityId || null });
+        res.status(201).json(ingredient);
+    }catch(err){ console.error('Create feed ingredient error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Record a delivery (added to the projected stock) or a stock count (replaces it)
+app.post('/feed/ingredients/:id/stock', async (req,res)=>{
+    try{
+        const { id } = req.params; const { mode, kg, date } = req.body;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid ingredient id' });
+        if(!['delivery','count'].includes(mode)) return res.status(400).json({ error:'Invalid mode' });
+        const amount = Number(kg);
+        if(kg === undefined || kg === '' || !Number.isFinite(amount) || amount < 0 || (mode === 'delivery' && amount === 0)) return res.status(400).json({ error:'Invalid quantity' });
+        const d = date ? new Date(date) : new Date();
+        if(isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const ingredient = await FeedIngredient.findOne({ _id:id, ...communityFilter }).lean();
+        if(!ingredient) return res.status(404).json({ error:'Ingredient not found' });
+        if(ingredient.stockAt && d < new Date(ingredient.stockAt)) return res.status(400).json({ error:'Date is before the last delivery or count' });
+        let stockKg = amount;
+        if(mode === 'delivery'){
+            const plan = await loadFeedPlan(communityFilter, d);
+            const row = plan.ingredients.find(i=> String(i._id) === id);
+            stockKg = Math.round(((row ? row.onHandKg : 0) + amount) * 10) / 10;
+        }
+        const updated = await FeedIngredient.findOneAndUpdate({ _id:id, ...communityFilter }, { stockKg, stockAt: d }, { new:true }).lean();
+        res.json(updated);
+    }catch(err){ console.error('Feed stock error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete an ingredient no ration uses
+app.delete('/feed/ingredients/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid ingredient id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const usedIn = await Ration.findOne({ ...communityFilter, 'items.ingredient': id }).lean();
+        if(usedIn) return res.status(409).json({ error:`Used in ration ${usedIn.name}` });
+        const ingredient = await FeedIngredient.findOneAndDelete({ _id:id, ...communityFilter }).lean();
+        if(!ingredient) return res.status(404).json({ error:'Ingredient not found' });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete feed ingredient error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Create a ration from kg per head per day of each ingredient
+app.post('/feed/rations', async (req,res)=>{
+    try{
+        const { name, purpose, notes } = req.body;
+        const items = Array.isArray(req.body.items) ? req.body.items : [];
+        if(!name || !String(name).trim()) return res.status(400).json({ error:'Ration name is required' });
+        if(purpose && !Location.purposes[purpose]) return res.status(400).json({ error:'Invalid purpose' });
+        if(!items.length) return res.status(400).json({ error:'Add at least one ingredient' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const ingredients = await FeedIngredient.find(communityFilter).lean();
+        const byId = new Map(ingredients.map(i=> [String(i._id), i]));
+        const lines = [];
+        for(const it of items){
+            const ingredient = byId.get(String(it.ingredientId));
+            const kgPerHead = Number(it.kgPerHead);
+            if(!ingredient) return res.status(400).json({ error:'Unknown ingredient' });
+            if(!Number.isFinite(kgPerHead) || kgPerHead <= 0) return res.status(400).json({ error:`Invalid kg per head for ${ingredient.name}` });
+            if(lines.some(l=> String(l.ingredient) === String(ingredient._id))) return res.status(400).json({ error:`${ingredient.name} is listed twice` });
+            lines.push({ ingredient: ingredient._id, ingredientName: ingredient.name, kgPerHead });
+        }
+        const existing = await Ration.findOne({ ...communityFilter, name: String(name).trim() }).lean();
+        if(existing) return res.status(409).json({ error:'A ration with this name already exists' });
+        const ration = await Ration.create({ name: String(name).trim(), purpose: purpose || 'other', items: lines, notes: notes || '', community: req.communityId || null });
+        res.status(201).json(ration);
+    }catch(err){ console.error('Create ration error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Retire or reactivate a ration; retired rations are still fed where assigned but not suggested
+app.post('/feed/rations/:id/toggle', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid ration id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const ration = await Ration.findOne({ _id:id, ...communityFilter });
+        if(!ration) return res.status(404).json({ error:'Ration not found' });
+        ration.active = ration.active === false;
+        await ration.save();
+        res.json(ration);
+    }catch(err){ console.error('Toggle ration error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a ration nothing is fed
+app.delete('/feed/rations/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid ration id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [location, cows] = await Promise.all([
+            Location.findOne({ ...communityFilter, ration: id }).lean(),
+            Cow.countDocuments({ ...communityFilter, ration: id, exitedAt: null }),
+        ]);
+        if(location) return res.status(409).json({ error:`Fed in ${location.name}` });
+        if(cows) return res.status(409).json({ error:`Fed to ${cows} cow(s)` });
+        const ration = await Ration.findOneAndDelete({ _id:id, ...communityFilter }).lean();
+        if(!ration) return res.status(404).json({ error:'Ration not found' });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete ration error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Assign the ration fed in a pen or group (empty rationId: none)
+app.post('/feed/locations/:id/ration', async (req,res)=>{
+    try{
+        const { id } = req.params; const { rationId } = req.body;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid location id' });
+        if(rationId && !mongoose.isValidObjectId(rationId)) return res.status(400).json({ error:'Invalid ration id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const ration = rationId ? await Ration.findOne({ _id: rationId, ...communityFilter }).lean() : null;
+        if(rationId && !ration) return res.status(404).json({ error:'Ration not found' });
+        const location = await Location.findOneAndUpdate({ _id:id, ...communityFilter }, { ration: ration ? ration._id : null }, { new:true }).lean();
+        if(!location) return res.status(404).json({ error:'Location not found' });
+        res.json(location);
+    }catch(err){ console.error('Assign location ration error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// ========== GRAZING ==========
+
+// Grazing planner: paddock status, the next paddock to graze and the grazing history
+app.get('/grazing', async (req,res)=>{
+    try{
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [locations, events, cows, bulls, calves] = await Promise.all([
+            Location.find(communityFilter).sort({ name:1 }).lean(),
+            GrazingEvent.find(communityFilter).sort({ dateIn:-1, createdAt:-1 }).lean(),
+            Cow.find({ ...communityFilter, exitedAt: null, location: { $ne: null } }).select('location').lean(),
+            Bull.find({ ...communityFilter, exitedAt: null, location: { $ne: null } }).select('location').lean(),
+            Calf.find({ ...communityFilter, graduated: { $ne: true }, location: { $ne: null } }).select('location').lean(),
+        ]);
+        const grazed = new Set(events.filter(e=> !e.dateOut).map(e=> String(e.paddock)));
+        const paddocks = locations.filter(l=> l.kind === 'paddock' && (l.active !== false || grazed.has(String(l._id))));
+        const headAt = new Map();
+        for (const a of [...cows, ...bulls, ...calves]) headAt.set(String(a.location), (headAt.get(String(a.location)) || 0) + 1);
+        const groups = locations.filter(l=> l.kind !== 'paddock' && l.active !== false).map(l=> ({ ...l, headcount: headAt.get(String(l._id)) || 0 }));
+        const plan = buildGrazingPlan(paddocks, events);
+        res.render('grazing', { title:'Grazing Planner', rows: plan.rows, next: plan.next, groups, history: events.slice(0, 30) });
+    }catch(err){ console.error('Grazing planner error:', err); res.status(500).send('Internal Server Error'); }
+});
+
+// Grazing alerts link like animal alerts; the paddock lives on the planner
+app.get('/profile/paddock/:id', (req,res)=> res.redirect(`/grazing#paddock-${encodeURIComponent(req.params.id)}`));
+
+// Area and rotation plan of a paddock
+app.post('/grazing/paddocks/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid paddock id' });
+        const num = v => (v === undefined || v === null || v === '') ? null : Number(v);
+        const areaHa = num(req.body.areaHa), restDays = num(req.body.restDays), grazeDays = num(req.body.grazeDays);
+        if(areaHa !== null && (!Number.isFinite(areaHa) || areaHa <= 0)) return res.status(400).json({ error:'Invalid area' });
+        if(restDays !== null && (!Number.isInteger(restDays) || restDays < 0)) return res.status(400).json({ error:'Rest days must be a whole number' });
+        if(grazeDays !== null && (!Number.isInteger(grazeDays) || grazeDays < 1)) return res.status(400).json({ error:'Grazing days must be at least 1' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const paddock = await Location.findOneAndUpdate({ _id:id, kind:'paddock', ...communityFilter }, { areaHa, restDays, grazeDays }, { new:true }).lean();
+        if(!paddock) return res.status(404).json({ error:'Paddock not found' });
+        res.json(paddock);
+    }catch(err){ console.error('Update paddock error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Put a group on a paddock. The group comes off the paddock it was grazing on the same day.
+app.post('/grazing', async (req,res)=>{
+    try{
+        const { paddockId, groupId, dateIn, plannedDays, notes } = req.body;
+        if(!mongoose.isValidObjectId(paddockId)) return res.status(400).json({ error:'Invalid paddock id' });
+        if(!mongoose.isValidObjectId(groupId)) return res.status(400).json({ error:'Invalid group id' });
+        const d = dateIn ? new Date(dateIn) : new Date();
+        if(isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [paddock, group] = await Promise.all([
+            Location.findOne({ _id: paddockId, kind:'paddock', ...communityFilter }).lean(),
+            Location.findOne({ _id: groupId, kind: { $ne:'paddock' }, ...communityFilter }).lean(),
+        ]);
+        if(!paddock) return res.status(404).json({ error:'Paddock not found' });
+        if(!group) return res.status(404).json({ error:'Group not found' });
+        if(paddock.active === false) return res.status(400).json({ error:'Paddock is retired' });
+        const days = plannedDays !== undefined && plannedDays !== '' ? Number(plannedDays) : paddock.grazeDays;
+        if(!Number.isInteger(days) || days < 1) return res.status(400).json({ error:'Planned days must be at least 1' });
+        const [onPaddock, lastOnPaddock, groupGrazing] = await Promise.all([
+            GrazingEvent.findOne({ ...communityFilter, paddock: paddock._id, dateOut: null }).lean(),
+            GrazingEvent.findOne({ ...communityFilter, paddock: paddock._id, dateOut: { $ne: null } }).sort({ dateOut:-1 }).lean(),
+            GrazingEvent.findOne({ ...communityFilter, group: group._id, dateOut: null }).lean(),
+        ]);
+        if(onPaddock) return res.status(409).json({ error:`${onPaddock.groupName || 'A group'} is on ${paddock.name}` });
+        if(lastOnPaddock && d < new Date(lastOnPaddock.dateOut)) return res.status(400).json({ error:'Date is before the last grazing of this paddock ended' });
+        if(groupGrazing && d < new Date(groupGrazing.dateIn)) return res.status(400).json({ error:`Date is before ${group.name} went onto ${groupGrazing.paddockName}` });
+        if(groupGrazing) await GrazingEvent.updateOne({ _id: groupGrazing._id, ...communityFilter }, { dateOut: d });
+        const [cows, bulls, calves] = await Promise.all([
+            Cow.countDocuments({ ...communityFilter, location: group._id, exitedAt: null }),
+            Bull.countDocuments({ ...communityFilter, location: group._id, exitedAt: null }),
+            Calf.countDocuments({ ...communityFilter, location: group._id, graduated: { $ne: true } }),
+        ]);
+        const grazing = await GrazingEvent.create({
+            paddock: paddock._id, paddockName: paddock.name, group: group._id, groupName: group.name,
+            headCount: cows + bulls + calves, dateIn: d, plannedDays: days, notes: notes || '',
+            community: req.communityId || null,
+        });
+        // Grazing a paddock before its rest period is over is allowed but flagged
+        let warning;
+        if(lastOnPaddock && paddock.restDays){
+            const rested = Math.floor((d - new Date(lastOnPaddock.dateOut)) / (24*60*60*1000));
+            if(rested < paddock.restDays) warning = `${paddock.name} has rested ${rested} of ${paddock.restDays} days`;
+        }
+        res.status(201).json({ ...grazing.toObject(), closed: groupGrazing ? String(groupGrazing._id) : null, warning });
+    }catch(err){ console.error('Record grazing error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Take the group off the paddock
+app.post('/grazing/:id/out', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid grazing id' });
+        const d = req.body.dateOut ? new Date(req.body.dateOut) : new Date();
+        if(isNaN(d.getTime())) return res.status(400).json({ error:'Invalid date' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const grazing = await GrazingEvent.findOne({ _id:id, ...communityFilter }).lean();
+        if(!grazing) return res.status(404).json({ error:'Grazing not found' });
+        if(grazing.dateOut) return res.status(409).json({ error:'Group is already off this paddock' });
+        if(d < new Date(grazing.dateIn)) return res.status(400).json({ error:'Date out is before the date in' });
+        const updated = await GrazingEvent.findOneAndUpdate({ _id:id, ...communityFilter }, { dateOut: d }, { new:true }).lean();
+        res.json(updated);
+    }catch(err){ console.error('End grazing error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Delete a mistaken grazing; only the latest one of a paddock
+app.delete('/grazing/:id', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid grazing id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const grazing = await GrazingEvent.findOne({ _id:id, ...communityFilter }).lean();
+        if(!grazing) return res.status(404).json({ error:'Grazing not found' });
+        const latest = await GrazingEvent.findOne({ ...communityFilter, paddock: grazing.paddock }).sort({ dateIn:-1, createdAt:-1 }).lean();
+        if(String(latest._id) !== String(grazing._id)) return res.status(409).json({ error:'Only the latest grazing of a paddock can be deleted' });
+        await GrazingEvent.deleteOne({ _id:id, ...communityFilter });
+        res.json({ ok:true });
+    }catch(err){ console.error('Delete grazing error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// ========== SYNC PROTOCOLS ==========
+// Templates are managed by admins under /community/protocols; members enroll cows here
+
+app.get('/sync-protocols', async (req,res)=>{
+    try{
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const [protocols, cows, bulls, enrollments] = await Promise.all([
+            SyncProtocol.find({ ...communityFilter, active: { $ne: false } }).sort({ name:1 }).lean(),
+            Cow.find({ ...communityFilter, exitedAt: null }).select('cowName cowNumber lastCalving').sort({ cowNumber:1 }).lean(),
+            Bull.find({ ...communityFilter, $or: [{ exitedAt: null }, { isInsemination: true }] }).select('bullName bullNumber isInsemination').sort({ isInsemination:-1, bullName:1 }).lean(),
+            ProtocolEnrollment.find({ ...communityFilter, status:'active' }).sort({ startDate:1 }).lean(),
+        ]);
+        const cowById = new Map(cows.map(c=> [String(c._id), c]));
+        const active = enrollments.map(en=> ({ ...en, cow: cowById.get(String(en.cowId)) || null, nextStep: (en.steps||[]).find(st=> !st.done) || null }));
+        res.render('sync-protocols', { title:'Sync Protocols', protocols, cows, bulls, enrollments: active });
+    }catch(err){ console.error('Sync protocols page error:', err); res.status(500).send('Internal Server Error'); }
+});
+
+// Enroll one cow or a group of cows on a protocol starting at startDate (day 0)
+app.post('/protocol-enrollments', async (req,res)=>{
+    try{
+        const { protocolId, cowIds, cowId, startDate, sireBullId, sireBullNumber, technician, groupLabel } = req.body;
+        if(!mongoose.isValidObjectId(protocolId)) return res.status(400).json({ error:'Invalid protocol id' });
+        const ids = [...new Set((Array.isArray(cowIds) ? cowIds : [cowIds || cowId]).filter(Boolean).map(String))];
+        if(!ids.length) return res.status(400).json({ error:'Select at least one cow' });
+        if(ids.some(i=> !mongoose.isValidObjectId(i))) return res.status(400).json({ error:'Invalid cow id' });
+        const start = startDate ? new Date(startDate) : new Date();
+        if(isNaN(start.getTime())) return res.status(400).json({ error:'Invalid start date' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const protocol = await SyncProtocol.findOne({ _id: protocolId, ...communityFilter }).lean();
+        if(!protocol) return res.status(404).json({ error:'Protocol not found' });
+        if(!protocol.steps || !protocol.steps.length) return res.status(400).json({ error:'Protocol has no steps' });
+        if (sireBullId && !mongoose.isValidObjectId(sireBullId)) return res.status(400).json({ error:'Invalid sire bull id' });
+        const sire = (sireBullId || sireBullNumber) ? await resolveInseminationSire({ sireBullId, sireBullNumber }, communityFilter) : {};
+        if (sireBullId && !sire.sireBull) return res.status(404).json({ error:'Sire bull not found' });
+        const [cows, running, insems] = await Promise.all([
+            Cow.find({ _id: { $in: ids }, ...communityFilter }).lean(),
+            ProtocolEnrollment.find({ cowId: { $in: ids }, status:'active', ...communityFilter }).select('cowId').lean(),
+            Insemination.find({ cowId: { $in: ids }, ...communityFilter }).sort({ date:-1 }).lean(),
+        ]);
+        const enrolled = new Set(running.map(e=> String(e.cowId)));
+        const latestByCow = new Map(); for(const r of insems){ const k=String(r.cowId); if(!latestByCow.has(k)) latestByCow.set(k, r); }
+        const steps = [...protocol.steps].sort((a,b)=> a.day-b.day).map(st=>{ const d=new Date(start); d.setDate(d.getDate()+(st.day||0)); return { day: st.day, action: st.action, timedAI: !!st.timedAI, date: d }; });
+        const label = groupLabel ? String(groupLabel).trim() : (ids.length > 1 ? `${protocol.name} ${start.toISOString().slice(0,10)}` : '');
+        const created = [], skipped = [];
+        for(const id of ids){
+            const cow = cows.find(c=> String(c._id)===id);
+            if(!cow){ skipped.push({ cowId:id, reason:'not found' }); continue; }
+            const name = cow.cowName || cow.cowNumber || 'Cow';
+            if(enrolled.has(id)){ skipped.push({ cowId:id, name, reason:'already on a protocol' }); continue; }
+            const latest = latestByCow.get(id);
+            if(latest && latest.confirmedPregnant && (!cow.lastCalving || new Date(latest.date) > new Date(cow.lastCalving))){ skipped.push({ cowId:id, name, reason:'pregnant' }); continue; }
+            const en = await ProtocolEnrollment.create({ cowId: id, protocol: protocol._id, protocolName: protocol.name, startDate: start, groupLabel: label, ...sire, technician: technician ? String(technician).trim() : '', steps, community: req.communityId || null });
+            await logAudit({ cowId:id, action:'protocol.enroll', actor:'user', payload:{ enrollmentId: en._id, protocol: protocol.name, startDate: start, groupLabel: label }, community: req.communityId || null });
+            created.push(en);
+        }
+        res.status(created.length ? 201 : 400).json(created.length ? { created, skipped } : { error:'No cows enrolled', skipped });
+    }catch(err){ console.error('Protocol enroll error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Protocol enrollments of a cow (newest first)
+app.get('/cow/:id/protocols', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid cow id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const list = await ProtocolEnrollment.find({ cowId: id, ...communityFilter }).sort({ startDate:-1 }).lean();
+        res.json(list);
+    }catch(err){ console.error('Cow protocols error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
+// Stop an enrollment; remaining steps disappear from alerts, confirmed steps are kept
+app.post('/protocol-enrollments/:id/cancel', async (req,res)=>{
+    try{
+        const { id } = req.params;
+        if(!mongoose.isValidObjectId(id)) return res.status(400).json({ error:'Invalid id' });
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const en = await ProtocolEnrollment.findOneAndUpdate({ _id: id, status:'active', ...communityFilter }, { status:'cancelled' }, { new:true }).lean();
+        if(!en) return res.status(404).json({ error:'Active enrollment not found' });
+        await logAudit({ cowId: en.cowId, action:'protocol.cancel', actor:'user', payload:{ enrollmentId: en._id, protocol: en.protocolName }, community: req.communityId || null });
+        res.json(en);
+    }catch(err){ console.error('Protocol cancel error:', err); res.status(500).json({ error:'Internal Server Error' }); }
+});
+
 // Lineage API: return parents and offspring for cows/bulls; parents for calves
 app.get('/lineage/:type/:id', async (req, res) => {
     try{
@@ -1945,6 +5304,7 @@ app.get('/lineage/:type/:id', async (req, res) => {
                 dob: t === 'cow' ? (doc.dob || null) : t === 'bull' ? (doc.dob || null) : (doc.birthDate || null),
                 profileImageUrl: doc.profileImageUrl || null,
                 isInsemination: t === 'bull' ? !!doc.isInsemination : false,
+                purchased: !!doc.arrivedAt,
             };
             n.label = n.name || n.number || (t.charAt(0).toUpperCase() + t.slice(1));
             nodeMap.set(k, n);
@@ -1967,46 +5327,25 @@ app.get('/lineage/:type/:id', async (req, res) => {
         };
         const getParents = async (doc, t) => {
             if (!doc) return [];
-            if (t === 'cow' || t === 'calf'){
-                const [mDoc, sDoc] = await Promise.all([
-                    doc.motherCowNumber ? Cow.findOne({ cowNumber: doc.motherCowNumber, ...communityFilter }).lean() : null,
-                    doc.sireBullNumber ? Bull.findOne({ bullNumber: doc.sireBullNumber, ...communityFilter }).lean() : null,
-                ]);
-                return [mDoc?{doc:mDoc, t:'cow', rel:'mother'}:null, sDoc?{doc:sDoc, t:'bull', rel:'sire'}:null].filter(Boolean);
-            } else if (t === 'bull'){
-                const [mDoc, sDoc] = await Promise.all([
-                    doc.motherCowNumber ? Cow.findOne({ cowNumber: doc.motherCowNumber, ...communityFilter }).lean() : null,
-                    doc.sireBullNumber ? Bull.findOne({ bullNumber: doc.sireBullNumber, ...communityFilter }).lean() : null,
-                ]);
-                return [mDoc?{doc:mDoc, t:'cow', rel:'mother'}:null, sDoc?{doc:sDoc, t:'bull', rel:'sire'}:null].filter(Boolean);
-            }
-            return [];
+            const [mDoc, sDoc] = await Promise.all([findMother(doc, communityFilter), findSire(doc, communityFilter)]);
+            return [mDoc?{doc:mDoc, t:'cow', rel:'mother'}:null, sDoc?{doc:sDoc, t:'bull', rel:'sire'}:null].filter(Boolean);
+        };
+        const offspringOf = async (filter) => {
+            const [calves, cows, bulls] = await Promise.all([
+                Calf.find({ ...filter, ...communityFilter }).lean(),
+                Cow.find({ ...filter, ...communityFilter }).lean(),
+                Bull.find({ ...filter, ...communityFilter }).lean(),
+            ]);
+            return [
+                ...calves.map(d=>({doc:d, t:'calf', rel:'offspring'})),
+                ...cows.map(d=>({doc:d, t:'cow', rel:'offspring'})),
+                ...bulls.map(d=>({doc:d, t:'bull', rel:'offspring'})),
+            ];
         };
         const getChildren = async (doc, t) => {
             if (!doc) return [];
-            if (t === 'cow'){
-                const [calves, cows, bulls] = await Promise.all([
-                    Calf.find({ motherCowNumber: doc.cowNumber, ...communityFilter }).lean(),
-                    Cow.find({ motherCowNumber: doc.cowNumber, ...communityFilter }).lean(),
-                    Bull.find({ motherCowNumber: doc.cowNumber, ...communityFilter }).lean(),
-                ]);
-                return [
-                    ...calves.map(d=>({doc:d, t:'calf', rel:'offspring'})),
-                    ...cows.map(d=>({doc:d, t:'cow', rel:'offspring'})),
-                    ...bulls.map(d=>({doc:d, t:'bull', rel:'offspring'})),
-                ];
-            } else if (t === 'bull'){
-                const [calves, cows, bulls] = await Promise.all([
-                    Calf.find({ sireBullNumber: doc.bullNumber, ...communityFilter }).lean(),
-                    Cow.find({ sireBullNumber: doc.bullNumber, ...communityFilter }).lean(),
-                    Bull.find({ sireBullNumber: doc.bullNumber, ...communityFilter }).lean(),
-                ]);
-                return [
-                    ...calves.map(d=>({doc:d, t:'calf', rel:'offspring'})),
-                    ...cows.map(d=>({doc:d, t:'cow', rel:'offspring'})),
-                    ...bulls.map(d=>({doc:d, t:'bull', rel:'offspring'})),
-                ];
-            }
+            if (t === 'cow') return offspringOf({ mother: doc._id });
+            if (t === 'bull') return offspringOf({ sire: doc._id });
             return [];
         };
 
@@ -2039,6 +5378,13 @@ app.get('/lineage/:type/:id', async (req, res) => {
                         next.push({ node: pn });
                     }
                 }
+                // Bought animals: mark parents missing from the herd records
+                const found = { mother: parents.some(p => p.rel === 'mother'), sire: parents.some(p => p.rel === 'sire') };
+                for (const { relation, ...u } of unknownParentNodes(doc, found)){
+                    nodes.push({ ...u, profileImageUrl: null, isInsemination: false });
+                    addEdge(u, n, relation);
+                }
+                if (doc && doc.arrivedAt) n.parentsUnknown = !found.mother && !found.sire;
             }
             if (!next.length) break;
             current = next;
@@ -2071,58 +5417,34 @@ app.get('/lineage/:type/:id', async (req, res) => {
         }
 
         // Siblings for self (both maternal and paternal)
-        if (rootType==='cow' || rootType==='calf'){
-            const mNum = rootDoc.motherCowNumber; const sNum = rootDoc.sireBullNumber;
-            const [mother, sire] = await Promise.all([
-                mNum ? Cow.findOne({ cowNumber: mNum }).lean() : null,
-                sNum ? Bull.findOne({ bullNumber: sNum }).lean() : null,
-            ]);
-            const mNode = pushNode(mother, 'cow'); const sNode = pushNode(sire, 'bull');
-            if (mNode){
-                addEdge(mNode, self, 'mother');
-                const [c1,c2,c3] = await Promise.all([
-                    Calf.find({ motherCowNumber: mNum }).lean(),
-                    Cow.find({ motherCowNumber: mNum }).lean(),
-                    Bull.find({ motherCowNumber: mNum }).lean(),
-                ]);
-                [...c1,...c2,...c3].forEach(d=>{ const sn = d.birthDate!==undefined? pushNode(d,'calf') : (d.bullNumber!==undefined? pushNode(d,'bull'):pushNode(d,'cow')); if (sn){ addEdge(mNode, sn, 'mother'); }});
-            }
-            if (sNode){
-                addEdge(sNode, self, 'sire');
-                const [c1,c2,c3] = await Promise.all([
-                    Calf.find({ sireBullNumber: sNum }).lean(),
-                    Cow.find({ sireBullNumber: sNum }).lean(),
-                    Bull.find({ sireBullNumber: sNum }).lean(),
-                ]);
-                [...c1,...c2,...c3].forEach(d=>{ const sn = d.birthDate!==undefined? pushNode(d,'calf') : (d.bullNumber!==undefined? pushNode(d,'bull'):pushNode(d,'cow')); if (sn){ addEdge(sNode, sn, 'sire'); }});
-            }
-        } else if (rootType==='bull'){
-            const mNum = rootDoc.motherCowNumber; const sNum = rootDoc.sireBullNumber;
-            const [mother, sire] = await Promise.all([
-                mNum ? Cow.findOne({ cowNumber: mNum }).lean() : null,
-                sNum ? Bull.findOne({ bullNumber: sNum }).lean() : null,
-            ]);
-            const mNode = pushNode(mother, 'cow'); const sNode = pushNode(sire, 'bull');
-            if (mNode){
-                addEdge(mNode, self, 'mother');
-                const [c1,c2,c3] = await Promise.all([
-                    Calf.find({ motherCowNumber: mNum }).lean(),
-                    Cow.find({ motherCowNumber: mNum }).lean(),
-                    Bull.find({ motherCowNumber: mNum }).lean(),
-                ]);
-                [...c1,...c2,...c3].forEach(d=>{ const sn = d.birthDate!==undefined? pushNode(d,'calf') : (d.bullNumber!==undefined? pushNode(d,'bull'):pushNode(d,'cow')); if (sn){ addEdge(mNode, sn, 'mother'); }});
-            }
-            if (sNode){
-                addEdge(sNode, self, 'sire');
-                const [c1,c2,c3] = await Promise.all([
-                    Calf.find({ sireBullNumber: sNum }).lean(),
-                    Cow.find({ sireBullNumber: sNum }).lean(),
-                    Bull.find({ sireBullNumber: sNum }).lean(),
-                ]);
-                [...c1,...c2,...c3].forEach(d=>{ const sn = d.birthDate!==undefined? pushNode(d,'calf') : (d.bullNumber!==undefined? pushNode(d,'bull'):pushNode(d,'cow')); if (sn){ addEdge(sNode, sn, 'sire'); }});
+        const [mother, sire] = await Promise.all([findMother(rootDoc, communityFilter), findSire(rootDoc, communityFilter)]);
+        const mNode = pushNode(mother, 'cow'); const sNode = pushNode(sire, 'bull');
+        if (mNode){
+            addEdge(mNode, self, 'mother');
+            (await offspringOf({ mother: mother._id })).forEach(k=>{ const sn = pushNode(k.doc, k.t); if (sn){ addEdge(mNode, sn, 'mother'); }});
+        }
+        if (sNode){
+            addEdge(sNode, self, 'sire');
+            (await offspringOf({ sire: sire._id })).forEach(k=>{ const sn = pushNode(k.doc, k.t); if (sn){ addEdge(sNode, sn, 'sire'); }});
+        }
+
+        // Service sire of the cow's current (confirmed, not yet calved) pregnancy
+        if (rootType==='cow'){
+            const service = await Insemination.findOne({ cowId: rootDoc._id, confirmedPregnant: true, ...communityFilter }).sort({ date:-1, _id:-1 }).lean();
+            const open = service && (!rootDoc.lastCalving || new Date(service.date) > new Date(rootDoc.lastCalving));
+            if (open && (service.sireBull || service.sireBullNumber)){
+                const sireDoc = service.sireBull
+                    ? await Bull.findOne({ _id: service.sireBull, ...communityFilter }).lean()
+                    : await findByNumber('bull', service.sireBullNumber);
+                const sNode = pushNode(sireDoc, 'bull');
+                if (sNode) addEdge(sNode, self, 'service');
             }
         }
 
+        // Wright's inbreeding coefficient (%) of every animal in the graph
+        const pedigree = await loadKinship(communityFilter);
+        nodes.forEach(n=>{ if (!n.unknown) n.inbreeding = inbreedingPct(pedigree.inbreeding(n._id)); });
+
         return res.json({ nodes, edges });
     } catch(err){
         console.error('Lineage error:', err);
@@ -2130,6 +5452,67 @@ app.get('/lineage/:type/:id', async (req, res) => {
     }
 });
 
+// One animal as shown on the pedigree certificate
+function pedigreeEntry(doc, type){
+    return {
+        _id: doc._id,
+        type,
+        name: type === 'cow' ? (doc.cowName || '') : type === 'bull' ? (doc.bullName || '') : (doc.calfName || ''),
+        number: type === 'cow' ? (doc.cowNumber || '') : type === 'bull' ? (doc.bullNumber || '') : '',
+        race: type === 'calf' ? (doc.calfBreed || '') : (doc.race || ''),
+        breeds: doc.breeds || [],
+        dob: type === 'calf' ? (doc.birthDate || null) : (doc.dob || null),
+        sex: type === 'cow' ? 'female' : type === 'bull' ? 'male' : (doc.gender || ''),
+        profileImageUrl: doc.profileImageUrl || null,
+        isInsemination: type === 'bull' && !!doc.isInsemination,
+    };
+}
+
+// Ancestors for the pedigree certificate by generation: generation g has 2^g slots, the sire above the
+// dam under each animal of the generation before. A parent missing from the herd records is filled in
+// from the number, name and breed copied onto its offspring (bought animals, outside AI sires) and
+// its own line stays empty; slots are null where nothing is known.
+async function pedigreeAncestors(doc, type, generations, communityFilter){
+    const out = [];
+    let row = [{ doc, type }];
+    for (let g = 1; g <= generations; g++){
+        row = (await Promise.all(row.map(async a => {
+            if (!a || a.entry) return [null, null];
+            const [sire, dam] = await Promise.all([findSire(a.doc, communityFilter), findMother(a.doc, communityFilter)]);
+            const copy = (name, number, race, t) => (name || number) ? { entry: { type: t, name: name || '', number: number || '', race: race || '', breeds: [], dob: null, unknown: true } } : null;
+            return [
+                sire ? { doc: sire, type: 'bull' } : copy(a.doc.sireBullName, a.doc.sireBullNumber, a.doc.sireBullBreed, 'bull'),
+                dam ? { doc: dam, type: 'cow' } : copy(a.doc.motherCowName, a.doc.motherCowNumber, a.doc.motherCowBreed, 'cow'),
+            ];
+        }))).flat();
+        out.push(row.map(a => a ? (a.entry || pedigreeEntry(a.doc, a.type)) : null));
+    }
+    return out;
+}
+
+// Printable pedigree certificate of a cow, bull or calf with 4 generations of ancestors (?generations=3
+// for 3); saved as PDF from the browser's print dialog
+app.get('/pedigree/:type/:id', async (req, res)=>{
+    try{
+        const { type, id } = req.params;
+        const Model = { cow: Cow, bull: Bull, calf: Calf }[type];
+        if (!Model) return res.status(400).send('Invalid type');
+        if (!mongoose.isValidObjectId(id)) return res.status(400).send('Invalid id');
+        // Apply community filter for data isolation
+        const communityFilter = getCommunityFilter(req);
+        const doc = await Model.findOne({ _id: id, ...communityFilter }).lean();
+        if (!doc) return res.status(404).send(`${type.charAt(0).toUpperCase() + type.slice(1)} not found`);
+        const generations = req.query.generations === '3' ? 3 : 4;
+        const animal = pedigreeEntry(doc, type);
+        animal.inbreeding = inbreedingPct((await loadKinship(communityFilter)).inbreeding(doc._id));
+        const ancestors = await pedigreeAncestors(doc, type, generations, communityFilter);
+        res.render('pedigree-certificate', { title:'Pedigree Certificate', animal, ancestors, generations, issuedOn: new Date() });
+    } catch(err){
+        console.error('Pedigree certificate error:', err);
+        res.status(500).send('Internal Server Error');
+    }
+});
+
 // Route to add cattle
 app.post('/add-cattle', async (req, res) => {
     try {
@@ -2166,24 +5549,9 @@ app.post('/add-cattle', async (req, res) => {
 
         let newEntry;
 
-        // Helper to auto-populate parent info from numbers (within community)
+        // Link the parents given by number (within community) and copy their names and breeds
         async function enrichFromNumbers(entry){
-            // Mother (cow)
-            if (entry.motherCowNumber && (!entry.motherCowName || !entry.motherCowBreed)){
-                const mc = await Cow.findOne({ cowNumber: entry.motherCowNumber, ...communityFilter }).lean();
-                if (mc){
-                    entry.motherCowName = mc.cowName || entry.motherCowName;
-                    entry.motherCowBreed = mc.race || entry.motherCowBreed;
-                }
-            }
-            // Sire (bull)
-            if (entry.sireBullNumber && (!entry.sireBullName || !entry.sireBullBreed)){
-                const sb = await Bull.findOne({ bullNumber: entry.sireBullNumber, ...communityFilter }).lean();
-                if (sb){
-                    entry.sireBullName = sb.bullName || entry.sireBullName;
-                    entry.sireBullBreed = sb.race || entry.sireBullBreed;
-                }
-            }
+            entry.set(await linkParents({ motherCowNumber: entry.motherCowNumber || '', sireBullNumber: entry.sireBullNumber || '' }, communityFilter));
         }
 
         // Validate parent references by type (within community)
@@ -2225,6 +5593,7 @@ app.post('/add-cattle', async (req, res) => {
                 community: req.communityId || null
             });
             await enrichFromNumbers(newEntry);
+            newEntry.set(await breedFields('race', req.body.registeringRace, req.communityId));
         } else if (type === 'calf') {
             // Validate gender
             const gender = req.body.gender;
@@ -2251,6 +5620,7 @@ app.post('/add-cattle', async (req, res) => {
                 community: req.communityId || null
             });
             await enrichFromNumbers(newEntry);
+            newEntry.set(await breedFields('calfBreed', req.body.calfBreed, req.communityId, newEntry));
         } else if (type === 'bull') {
             if (await numberTaken(req.body.registeringNumber)) {
                 return res.status(409).json({ error: 'Number already in use by another animal' });
@@ -2280,6 +5650,7 @@ app.post('/add-cattle', async (req, res) => {
             }
             newEntry = new Bull(bullPayload);
             if (!isInsemination) await enrichFromNumbers(newEntry);
+            newEntry.set(await breedFields('race', req.body.registeringRace, req.communityId));
         } else {
             return res.status(400).json({ error: 'Invalid cattle type' });
         }
@@ -2355,8 +5726,9 @@ app.post('/edit-cattle', async (req, res) => {
                     return res.status(409).send('Name already in use by another animal');
                 }
             }
-            // pass through for calves (field names already match)
+            // pass through for calves (field names already match); links follow the parent numbers
             mapped = { ...updates };
+            delete mapped.mother; delete mapped.sire; delete mapped.breeds;
         } else if (type === 'bull') {
             model = Bull;
             if (Object.prototype.hasOwnProperty.call(updates, 'registeringNumber')) {
@@ -2391,17 +5763,6 @@ app.post('/edit-cattle', async (req, res) => {
             return res.status(400).send('Invalid cattle type');
         }
 
-        // Auto-enrich parent fields on edits if only numbers supplied (within community)
-        async function enrichEdit(mappedObj){
-            if (mappedObj.motherCowNumber && (!mappedObj.motherCowName || !mappedObj.motherCowBreed)){
-                const mc = await Cow.findOne({ cowNumber: mappedObj.motherCowNumber, ...communityFilter }).lean();
-                if (mc){ mappedObj.motherCowName = mc.cowName; mappedObj.motherCowBreed = mc.race; }
-            }
-            if (mappedObj.sireBullNumber && (!mappedObj.sireBullName || !mappedObj.sireBullBreed)){
-                const sb = await Bull.findOne({ bullNumber: mappedObj.sireBullNumber, ...communityFilter }).lean();
-                if (sb){ mappedObj.sireBullName = sb.bullName; mappedObj.sireBullBreed = sb.race; }
-            }
-        }
         // Validate parent links on edit when provided and not AI bull (within community)
         async function validateParentOnEdit(obj){
             if (obj.motherCowNumber !== undefined && obj.motherCowNumber) {
@@ -2417,9 +5778,18 @@ app.post('/edit-cattle', async (req, res) => {
         const parentErr = await validateParentOnEdit(mapped);
         if (parentErr) return res.status(400).send(parentErr);
 
-        await enrichEdit(mapped);
+        // Relink the parents whose numbers were edited (an emptied number clears the link)
+        await linkParents(mapped, communityFilter);
+        // Breed text is matched against the breed dictionary; a calf with both parents known gets their cross
+        if (type !== 'calf' && 'race' in mapped) Object.assign(mapped, await breedFields('race', mapped.race, req.communityId));
+        if (type === 'calf' && ['calfBreed','mother','sire'].some(k=> k in mapped)){
+            const current = await Calf.findOne({ _id: id, ...communityFilter }).select('mother sire calfBreed').lean();
+            if (current) Object.assign(mapped, await breedFields('calfBreed', mapped.calfBreed ?? current.calfBreed, req.communityId, { mother: 'mother' in mapped ? mapped.mother : current.mother, sire: 'sire' in mapped ? mapped.sire : current.sire }));
+        }
         const updatedEntry = await model.findOneAndUpdate({ _id: id, ...communityFilter }, mapped, { new: true });
         if (!updatedEntry) return res.status(404).send('Entry not found');
+        // Offspring keep showing this parent's current number, name and breed
+        if (type !== 'calf' && ['cowNumber','cowName','bullNumber','bullName','race'].some(k=> k in mapped)) await syncParentCopies(type, updatedEntry, communityFilter);
         res.status(200).json(updatedEntry);
     } catch (err) {
         res.status(500).send(err.message);
@@ -56,9 +56,10 @@ router.get('/dashboard', isAdmin, async (req, res) => {
         const Insemination = mongoose.model('Insemination');
         const Settings = mongoose.model('Settings');
 
+        // Herd figures count only animals still in the herd
         const [cowCount, bullCount, calfCount] = await Promise.all([
-            Cow.countDocuments({ community: community._id }),
-            Bull.countDocuments({ community: community._id }),
+            Cow.countDocuments({ community: community._id, exitedAt: null }),
+            Bull.countDocuments({ community: community._id, exitedAt: null }),
             Calf.countDocuments({ community: community._id })
         ]);
 
@@ -87,7 +88,7 @@ router.get('/dashboard', isAdmin, async (req, res) => {
         // Criteria: No confirmed pregnancy, and either:
         //   - No insemination attempts, OR
         //   - Last insemination was > inseminationIntervalDays ago and not confirmed
-        const allCows = await Cow.find({ community: community._id }).lean();
+        const allCows = await Cow.find({ community: community._id, exitedAt: null }).lean();
         const allInseminations = await Insemination.find({ community: community._id }).lean();
         
         // Group inseminations by cowId
@@ -158,6 +159,18 @@ router.get('/dashboard', isAdmin, async (req, res) => {
             }
         }
 
+        // Pregnancy losses over the last 12 months. A lost pregnancy stays on its
+        // insemination (confirmedPregnant cleared), so it still counts as a conception.
+        const yearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+        const yearInsems = allInseminations.filter(i => new Date(i.date) >= yearAgo);
+        const conceptions = yearInsems.filter(i => i.confirmedPregnant || i.pregnancyLoss).length;
+        const pregnancyLosses = yearInsems.filter(i => i.pregnancyLoss).length;
+        const miscarriageCalves = await Calf.countDocuments({
+            community: community._id,
+            status: 'miscarriage',
+            birthDate: { $gte: yearAgo }
+        });
+
         // 2. Calves ready for graduation (maturity)
         const allCalves = await Calf.find({ 
             community: community._id, 
@@ -195,8 +208,67 @@ router.get('/dashboard', isAdmin, async (req, res) => {
             }
         }
 
+        // Herd milk summary from each cow's latest record of the last 7 days
+        const MilkRecord = mongoose.model('MilkRecord');
+        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        const weekMilk = await MilkRecord.find({ community: community._id, date: { $gte: weekAgo } }).sort({ date: -1 }).lean();
+        const cowById = new Map(allCows.map(c => [c._id.toString(), c]));
+        const latestMilk = new Map();
+        weekMilk.forEach(r => { if (!latestMilk.has(r.cowId.toString())) latestMilk.set(r.cowId.toString(), r); });
+        const milkRows = [...latestMilk.values()].map(r => {
+            const cow = cowById.get(r.cowId.toString());
+            const calving = cow && cow.lastCalving && new Date(cow.lastCalving) <= new Date(r.date) ? new Date(cow.lastCalving) : null;
+            return { ...r, totalKg: (r.amKg || 0) + (r.pmKg || 0), dim: calving ? Math.floor((now - calving) / (1000 * 60 * 60 * 24)) : null };
+        }).filter(r => r.totalKg > 0);
+        const herdKg = milkRows.reduce((s, r) => s + r.totalKg, 0);
+        const weightedPct = key => {
+            const rows = milkRows.filter(r => r[key] > 0);
+            const kg = rows.reduce((s, r) => s + r.totalKg, 0);
+            return kg > 0 ? (rows.reduce((s, r) => s + r.totalKg * r[key], 0) / kg).toFixed(2) : null;
+        };
+        const dimRows = milkRows.filter(r => r.dim !== null);
+        const milk = {
+            cowsRecorded: milkRows.length,
+            herdKg: Math.round(herdKg),
+            avgKgPerCow: milkRows.length ? (herdKg / milkRows.length).toFixed(1) : null,
+            fatPct: weightedPct('fatPct'),
+            proteinPct: weightedPct('proteinPct'),
+            avgDim: dimRows.length ? Math.round(dimRows.reduce((s, r) => s + r.dim, 0) / dimRows.length) : null
+        };
+
+        // Growth and condition: calves past weaning age below their target weight,
+        // and cows that lost condition since their latest calving
+        const BodyRecord = mongoose.model('BodyRecord');
+        const bodyRecords = await BodyRecord.find({ community: community._id, entityType: { $in: ['calf', 'cow'] } }).sort({ date: 1 }).lean();
+        const bodyByAnimal = new Map();
+        bodyRecords.forEach(r => {
+            const key = `${r.entityType}:${r.entityId}`;
+            if (!bodyByAnimal.has(key)) bodyByAnimal.set(key, []);
+            bodyByAnimal.get(key).push(r);
+        });
+        const calvesBelowTarget = [];
+        for (const calf of allCalves) {
+            const records = bodyByAnimal.get(`calf:${calf._id}`);
+            if (!records || !calf.birthDate) continue;
+            const growth = BodyRecord.growth(records, calf, BodyRecord.growthTarget(calf, settings), now);
+            if (growth.belowTarget) {
+                calvesBelowTarget.push({ ...calf, growth, reason: `${growth.weaningKg} kg at weaning (target ${growth.targetWeaningKg} kg)` });
+            }
+        }
+        const bcsLossAlert = settings.bcsLossAlertPoints != null ? settings.bcsLossAlertPoints : 1;
+        const cowsLosingCondition = [];
+        for (const cow of allCows) {
+            const records = bodyByAnimal.get(`cow:${cow._id}`);
+            if (!records || !cow.lastCalving) continue;
+            const condition = BodyRecord.condition(records, cow.lastCalving);
+            if (condition.lossPoints !== null && condition.lossPoints >= bcsLossAlert) {
+                cowsLosingCondition.push({ ...cow, condition, reason: `BCS ${condition.calvingBcs} at calving → ${condition.latestBcs}` });
+            }
+        }
+        cowsLosingCondition.sort((a, b) => b.condition.lossPoints - a.condition.lossPoints);
+
         // 3. Bulls (for now just show inactive/old bulls - placeholder for future)
-        const allBulls = await Bull.find({ community: community._id }).lean();
+        const allBulls = await Bull.find({ community: community._id, exitedAt: null }).lean();
 
         res.render('community/dashboard', {
             title: `${community.name} - Dashboard`,
@@ -209,18 +281,27 @@ router.get('/dashboard', isAdmin, async (req, res) => {
                 totalMembers: members.length,
                 admins: membersWithRoles.filter(m => m.communityRole === 'Admin').length,
                 maleCalves,
-                femaleCalves
+                femaleCalves,
+                conceptions,
+                pregnancyLosses,
+                abortionRate: conceptions > 0 ? (pregnancyLosses / conceptions * 100).toFixed(1) : null,
+                miscarriageCalves,
+                milk
             },
             needsAttention: {
                 cowsNeedingInsemination: cowsNeedingInsemination.slice(0, 20),
                 cowsDueForCalving: cowsDueForCalving.slice(0, 20),
                 calvesReadyForGraduation: calvesReadyForGraduation.slice(0, 20),
                 calvesReadyForWeaning: calvesReadyForWeaning.slice(0, 20),
+                calvesBelowTarget: calvesBelowTarget.slice(0, 20),
+                cowsLosingCondition: cowsLosingCondition.slice(0, 20),
                 counts: {
                     insemination: cowsNeedingInsemination.length,
                     calving: cowsDueForCalving.length,
                     graduation: calvesReadyForGraduation.length,
-                    weaning: calvesReadyForWeaning.length
+                    weaning: calvesReadyForWeaning.length,
+                    growth: calvesBelowTarget.length,
+                    condition: cowsLosingCondition.length
                 }
             }
         });
@@ -664,6 +745,1145 @@ router.post('/settings/cattle', isAdmin, async (req, res) => {
     }
 });
 
+// ============== SYNC PROTOCOL TEMPLATES ==============
+
+/**
+ * GET /community/protocols - Estrus synchronization protocol templates
+ */
+router.get('/protocols', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const SyncProtocol = mongoose.model('SyncProtocol');
+        const ProtocolEnrollment = mongoose.model('ProtocolEnrollment');
+
+        const [community, protocols, running] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            SyncProtocol.find({ community: req.communityId }).sort({ name: 1 }).lean(),
+            ProtocolEnrollment.aggregate([
+                { $match: { community: new mongoose.Types.ObjectId(String(req.communityId)), status: 'active' } },
+                { $group: { _id: '$protocol', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const activeCounts = new Map(running.map(r => [String(r._id), r.count]));
+
+        res.render('community/protocols', {
+            title: 'Sync Protocols',
+            community,
+            protocols: protocols.map(p => ({ ...p, activeEnrollments: activeCounts.get(String(p._id)) || 0 })),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+
+    } catch (error) {
+        console.error('Protocols page error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load protocols.',
+            error: { status: 500 }
+        });
+    }
+});
+
+/**
+ * POST /community/protocols - Create a protocol template
+ * Steps arrive as steps[i][day], steps[i][action], steps[i][timedAI]
+ */
+router.post('/protocols', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const SyncProtocol = mongoose.model('SyncProtocol');
+        const { name, description } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.redirect('/community/protocols?error=Protocol name is required');
+        }
+
+        const rows = Array.isArray(req.body.steps) ? req.body.steps : Object.values(req.body.steps || {});
+        const steps = rows
+            .filter(s => s && String(s.action || '').trim() && s.day !== '' && !isNaN(parseInt(s.day)))
+            .map(s => ({ day: parseInt(s.day), action: String(s.action).trim(), timedAI: s.timedAI === 'on' || s.timedAI === 'true' }))
+            .sort((a, b) => a.day - b.day);
+
+        if (steps.length === 0) {
+            return res.redirect('/community/protocols?error=Add at least one step');
+        }
+        if (steps.some(s => s.day < 0)) {
+            return res.redirect('/community/protocols?error=Step days cannot be negative');
+        }
+        if (steps.filter(s => s.timedAI).length > 1) {
+            return res.redirect('/community/protocols?error=Only one step can be the timed AI');
+        }
+
+        await SyncProtocol.create({
+            community: req.communityId,
+            name: String(name).trim(),
+            description: description || '',
+            steps
+        });
+
+        res.redirect('/community/protocols?success=Protocol created');
+
+    } catch (error) {
+        console.error('Create protocol error:', error);
+        res.redirect('/community/protocols?error=Failed to create protocol');
+    }
+});
+
+/**
+ * POST /community/protocols/:id/toggle - Retire or reactivate a template
+ * Retired templates are no longer offered for enrollment
+ */
+router.post('/protocols/:id/toggle', isAdmin, async (req, res) => {
+    try {
+        const SyncProtocol = mongoose.model('SyncProtocol');
+        const protocol = await SyncProtocol.findOne({ _id: req.params.id, community: req.communityId });
+
+        if (!protocol) {
+            return res.redirect('/community/protocols?error=Protocol not found');
+        }
+
+        protocol.active = protocol.active === false;
+        await protocol.save();
+
+        res.redirect(`/community/protocols?success=Protocol ${protocol.active ? 'reactivated' : 'retired'}`);
+
+    } catch (error) {
+        console.error('Toggle protocol error:', error);
+        res.redirect('/community/protocols?error=Failed to update protocol');
+    }
+});
+
+/**
+ * POST /community/protocols/:id/delete - Delete a template
+ * Enrollments keep their own copy of the steps, so running protocols are not affected
+ */
+router.post('/protocols/:id/delete', isAdmin, async (req, res) => {
+    try {
+        const SyncProtocol = mongoose.model('SyncProtocol');
+        const result = await SyncProtocol.deleteOne({ _id: req.params.id, community: req.communityId });
+
+        if (!result.deletedCount) {
+            return res.redirect('/community/protocols?error=Protocol not found');
+        }
+
+        res.redirect('/community/protocols?success=Protocol deleted');
+
+    } catch (error) {
+        console.error('Delete protocol error:', error);
+        res.redirect('/community/protocols?error=Failed to delete protocol');
+    }
+});
+
+// ============== HERD HEALTH PROGRAMS ==============
+
+/**
+ * GET /community/health-programs - Vaccination and deworming programs by animal class
+ */
+router.get('/health-programs', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const HealthProgram = mongoose.model('HealthProgram');
+        const HealthDose = mongoose.model('HealthDose');
+
+        const [community, programs, given] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            HealthProgram.find({ community: req.communityId }).sort({ animalClass: 1, name: 1 }).lean(),
+            HealthDose.aggregate([
+                { $match: { community: new mongoose.Types.ObjectId(String(req.communityId)) } },
+                { $group: { _id: '$program', count: { $sum: 1 }, last: { $max: '$date' } } }
+            ])
+        ]);
+
+        const doseCounts = new Map(given.map(g => [String(g._id), g]));
+
+        res.render('community/health-programs', {
+            title: 'Health Programs',
+            community,
+            programs: programs.map(p => ({ ...p, dosesGiven: (doseCounts.get(String(p._id)) || {}).count || 0, lastDose: (doseCounts.get(String(p._id)) || {}).last || null })),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+
+    } catch (error) {
+        console.error('Health programs page error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load health programs.',
+            error: { status: 500 }
+        });
+    }
+});
+
+/**
+ * POST /community/health-programs - Create a program
+ * boosterDays arrives as a comma-separated list of days after the previous dose
+ */
+router.post('/health-programs', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const HealthProgram = mongoose.model('HealthProgram');
+        const { name, kind, product, animalClass, sex, firstDoseAgeDays, boosterDays, repeatEveryDays, startDate } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.redirect('/community/health-programs?error=Program name is required');
+        }
+        if (!HealthProgram.schema.path('animalClass').enumValues.includes(animalClass)) {
+            return res.redirect('/community/health-programs?error=Choose an animal class');
+        }
+
+        const optionalDays = v => (v === undefined || v === null || String(v).trim() === '') ? null : parseInt(v);
+        const firstAge = optionalDays(firstDoseAgeDays);
+        const repeat = optionalDays(repeatEveryDays);
+        const boosters = String(boosterDays || '').split(',').map(s => s.trim()).filter(Boolean).map(s => parseInt(s));
+
+        if ([firstAge, repeat, ...boosters].some(d => d !== null && (isNaN(d) || d < 0))) {
+            return res.redirect('/community/health-programs?error=Days must be whole numbers of zero or more');
+        }
+        if (boosters.some(d => d === 0) || repeat === 0) {
+            return res.redirect('/community/health-programs?error=Booster and repeat intervals must be at least one day');
+        }
+        const start = startDate ? new Date(startDate) : new Date();
+        if (isNaN(start.getTime())) {
+            return res.redirect('/community/health-programs?error=Invalid start date');
+        }
+
+        await HealthProgram.create({
+            community: req.communityId,
+            name: String(name).trim(),
+            kind: kind === 'deworming' ? 'deworming' : 'vaccination',
+            product: product ? String(product).trim() : '',
+            animalClass,
+            sex: animalClass === 'calf' && ['female', 'male'].includes(sex) ? sex : 'any',
+            firstDoseAgeDays: firstAge,
+            boosterDays: boosters,
+            repeatEveryDays: repeat,
+            startDate: start
+        });
+
+        res.redirect('/community/health-programs?success=Program created');
+
+    } catch (error) {
+        console.error('Create health program error:', error);
+        res.redirect('/community/health-programs?error=Failed to create program');
+    }
+});
+
+/**
+ * POST /community/health-programs/:id/toggle - Pause or resume a program
+ */
+router.post('/health-programs/:id/toggle', isAdmin, async (req, res) => {
+    try {
+        const HealthProgram = mongoose.model('HealthProgram');
+        const program = await HealthProgram.findOne({ _id: req.params.id, community: req.communityId });
+
+        if (!program) {
+            return res.redirect('/community/health-programs?error=Program not found');
+        }
+
+        program.active = program.active === false;
+        await program.save();
+
+        res.redirect(`/community/health-programs?success=Program ${program.active ? 'resumed' : 'paused'}`);
+
+    } catch (error) {
+        console.error('Toggle health program error:', error);
+        res.redirect('/community/health-programs?error=Failed to update program');
+    }
+});
+
+/**
+ * POST /community/health-programs/:id/delete - Delete a program
+ * Doses already given stay on the animals' records
+ */
+router.post('/health-programs/:id/delete', isAdmin, async (req, res) => {
+    try {
+        const HealthProgram = mongoose.model('HealthProgram');
+        const result = await HealthProgram.deleteOne({ _id: req.params.id, community: req.communityId });
+
+        if (!result.deletedCount) {
+            return res.redirect('/community/health-programs?error=Program not found');
+        }
+
+        res.redirect('/community/health-programs?success=Program deleted');
+
+    } catch (error) {
+        console.error('Delete health program error:', error);
+        res.redirect('/community/health-programs?error=Failed to delete program');
+    }
+});
+
+// ============== PENS, PADDOCKS & GROUPS ==============
+
+/**
+ * Animals currently in each location of the community, by location id
+ * Cows and bulls that left the herd and graduated calves are not counted
+ */
+async function countByLocation(communityId) {
+    const community = new mongoose.Types.ObjectId(String(communityId));
+    const groupBy = { $group: { _id: '$location', count: { $sum: 1 } } };
+    const [cows, bulls, calves] = await Promise.all([
+        mongoose.model('Cow').aggregate([{ $match: { community, exitedAt: null, location: { $ne: null } } }, groupBy]),
+        mongoose.model('Bull').aggregate([{ $match: { community, exitedAt: null, location: { $ne: null } } }, groupBy]),
+        mongoose.model('Calf').aggregate([{ $match: { community, graduated: { $ne: true }, location: { $ne: null } } }, groupBy])
+    ]);
+    const counts = new Map();
+    [...cows, ...bulls, ...calves].forEach(r => counts.set(String(r._id), (counts.get(String(r._id)) || 0) + r.count));
+    return counts;
+}
+
+/**
+ * Whether a paddock is being grazed, or a group is grazing one, right now
+ */
+async function isGrazing(communityId, locationId) {
+    if (!mongoose.isValidObjectId(locationId)) return false;
+    return !!(await mongoose.model('GrazingEvent').exists({
+        community: communityId,
+        dateOut: null,
+        $or: [{ paddock: locationId }, { group: locationId }]
+    }));
+}
+
+/**
+ * GET /community/locations - Pens, paddocks and management groups with their headcount
+ */
+router.get('/locations', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const Location = mongoose.model('Location');
+        const Movement = mongoose.model('Movement');
+
+        const [community, locations, counts, movements] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            Location.find({ community: req.communityId }).sort({ name: 1 }).lean(),
+            countByLocation(req.communityId),
+            Movement.find({ community: req.communityId }).sort({ date: -1, createdAt: -1 }).limit(20).lean()
+        ]);
+
+        res.render('community/locations', {
+            title: 'Pens & Groups',
+            community,
+            locations: locations.map(l => ({ ...l, headcount: counts.get(String(l._id)) || 0 })),
+            movements,
+            purposes: Location.purposes,
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+
+    } catch (error) {
+        console.error('Locations page error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load pens and groups.',
+            error: { status: 500 }
+        });
+    }
+});
+
+/**
+ * POST /community/locations - Create a pen, paddock or group
+ */
+router.post('/locations', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const Location = mongoose.model('Location');
+        const { name, kind, purpose, capacity, notes } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.redirect('/community/locations?error=Name is required');
+        }
+        if (!Location.schema.path('kind').enumValues.includes(kind)) {
+            return res.redirect('/community/locations?error=Choose pen, paddock or group');
+        }
+        if (!Location.purposes[purpose]) {
+            return res.redirect('/community/locations?error=Choose a purpose');
+        }
+        const head = capacity === undefined || String(capacity).trim() === '' ? null : parseInt(capacity);
+        if (head !== null && (isNaN(head) || head < 1)) {
+            return res.redirect('/community/locations?error=Capacity must be at least one head');
+        }
+        const taken = await Location.findOne({ community: req.communityId, name: String(name).trim() }).lean();
+        if (taken) {
+            return res.redirect('/community/locations?error=A location with this name already exists');
+        }
+
+        await Location.create({
+            community: req.communityId,
+            name: String(name).trim(),
+            kind,
+            purpose,
+            capacity: head,
+            notes: notes ? String(notes).trim() : ''
+        });
+
+        res.redirect('/community/locations?success=Location created');
+
+    } catch (error) {
+        console.error('Create location error:', error);
+        res.redirect('/community/locations?error=Failed to create location');
+    }
+});
+
+/**
+ * POST /community/locations/:id/toggle - Retire or reactivate a location
+ * Only empty locations can be retired
+ */
+router.post('/locations/:id/toggle', isAdmin, async (req, res) => {
+    try {
+        const Location = mongoose.model('Location');
+        const location = await Location.findOne({ _id: req.params.id, community: req.communityId });
+
+        if (!location) {
+            return res.redirect('/community/locations?error=Location not found');
+        }
+        if (location.active !== false && (await countByLocation(req.communityId)).get(String(location._id))) {
+            return res.redirect('/community/locations?error=Move the animals out before retiring this location');
+        }
+        if (location.active !== false && await isGrazing(req.communityId, location._id)) {
+            return res.redirect('/community/locations?error=End the grazing on this location before retiring it');
+        }
+
+        location.active = location.active === false;
+        await location.save();
+
+        res.redirect(`/community/locations?success=Location ${location.active ? 'reactivated' : 'retired'}`);
+
+    } catch (error) {
+        console.error('Toggle location error:', error);
+        res.redirect('/community/locations?error=Failed to update location');
+    }
+});
+
+/**
+ * POST /community/locations/:id/delete - Delete an empty location
+ * Movement history keeps the location name
+ */
+router.post('/locations/:id/delete', isAdmin, async (req, res) => {
+    try {
+        const Location = mongoose.model('Location');
+
+        if ((await countByLocation(req.communityId)).get(String(req.params.id))) {
+            return res.redirect('/community/locations?error=Move the animals out before deleting this location');
+        }
+        if (await isGrazing(req.communityId, req.params.id)) {
+            return res.redirect('/community/locations?error=End the grazing on this location before deleting it');
+        }
+
+        const result = await Location.deleteOne({ _id: req.params.id, community: req.communityId });
+
+        if (!result.deletedCount) {
+            return res.redirect('/community/locations?error=Location not found');
+        }
+
+        res.redirect('/community/locations?success=Location deleted');
+
+    } catch (error) {
+        console.error('Delete location error:', error);
+        res.redirect('/community/locations?error=Failed to delete location');
+    }
+});
+
+// ============== BREED DICTIONARY ==============
+
+const breedTextFields = [['Cow', 'race'], ['Bull', 'race'], ['Calf', 'calfBreed']];
+
+/**
+ * Animals whose breed composition includes each breed of the community, by breed id
+ */
+async function countByBreed(communityId) {
+    const community = new mongoose.Types.ObjectId(String(communityId));
+    const lists = await Promise.all(breedTextFields.map(([model]) => mongoose.model(model).aggregate([
+        { $match: { community } },
+        { $unwind: '$breeds' },
+        { $group: { _id: '$breeds.breed', count: { $sum: 1 } } }
+    ])));
+    const counts = new Map();
+    lists.flat().forEach(r => counts.set(String(r._id), (counts.get(String(r._id)) || 0) + r.count));
+    return counts;
+}
+
+/**
+ * Breed of the community already known by one of these names, codes or aliases
+ */
+async function findBreedByName(communityId, names, exceptId) {
+    const Breed = mongoose.model('Breed');
+    const keys = new Set(names.filter(Boolean).map(n => Breed.key(n)));
+    const breeds = await Breed.find({ community: communityId, _id: { $ne: exceptId || null } }).lean();
+    return breeds.find(b => [b.name, b.code, ...(b.aliases || [])].some(n => n && keys.has(Breed.key(n)))) || null;
+}
+
+/**
+ * Point the compositions that use breed `from` at breed `to` (a rename when both are the same
+ * breed, a merge otherwise) and rewrite the breed text of those animals
+ */
+async function rewriteBreed(communityId, from, to) {
+    const Breed = mongoose.model('Breed');
+    for (const [model, field] of breedTextFields) {
+        const Model = mongoose.model(model);
+        const animals = await Model.find({ community: communityId, 'breeds.breed': from }).select('breeds').lean();
+        for (const animal of animals) {
+            const merged = new Map();
+            animal.breeds.forEach(b => {
+                const moved = String(b.breed) === String(from);
+                const id = String(moved ? to._id : b.breed);
+                const pct = (merged.get(id)?.pct || 0) + b.pct;
+                merged.set(id, { breed: moved ? to._id : b.breed, name: moved ? to.name : b.name, pct: Math.round(pct * 100) / 100 });
+            });
+            const breeds = [...merged.values()];
+            await Model.updateOne({ _id: animal._id }, { breeds, [field]: Breed.label(breeds) });
+        }
+    }
+}
+
+const parseAliases = (aliases) => [...new Set(String(aliases || '').split(',').map(a => a.trim()).filter(Boolean))];
+
+/**
+ * GET /community/breeds - Breed dictionary with the number of animals of each breed
+ */
+router.get('/breeds', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const [community, breeds, counts] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            mongoose.model('Breed').find({ community: req.communityId }).sort({ name: 1 }).lean(),
+            countByBreed(req.communityId)
+        ]);
+
+        res.render('community/breeds', {
+            title: 'Breeds',
+            community,
+            breeds: breeds.map(b => ({ ...b, headcount: counts.get(String(b._id)) || 0 })),
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+
+    } catch (error) {
+        console.error('Breeds page error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load breeds.',
+            error: { status: 500 }
+        });
+    }
+});
+
+/**
+ * POST /community/breeds - Add a breed to the dictionary
+ */
+router.post('/breeds', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const name = String(req.body.name || '').trim();
+        const code = String(req.body.code || '').trim();
+        const aliases = parseAliases(req.body.aliases);
+
+        if (!name) {
+            return res.redirect('/community/breeds?error=Name is required');
+        }
+        const taken = await findBreedByName(req.communityId, [name, code, ...aliases]);
+        if (taken) {
+            return res.redirect(`/community/breeds?error=${encodeURIComponent(`Already known as ${taken.name}`)}`);
+        }
+
+        await mongoose.model('Breed').create({ community: req.communityId, name, code, aliases });
+
+        res.redirect('/community/breeds?success=Breed added');
+
+    } catch (error) {
+        console.error('Create breed error:', error);
+        res.redirect('/community/breeds?error=Failed to add breed');
+    }
+});
+
+/**
+ * POST /community/breeds/:id - Rename a breed or change its code and aliases
+ * Animals of the breed get their breed text rewritten
+ */
+router.post('/breeds/:id', isAdmin, async (req, res) => {
+    try {
+        const breed = await mongoose.model('Breed').findOne({ _id: req.params.id, community: req.communityId });
+
+        if (!breed) {
+            return res.redirect('/community/breeds?error=Breed not found');
+        }
+
+        const name = String(req.body.name || '').trim();
+        const code = String(req.body.code || '').trim();
+        const aliases = parseAliases(req.body.aliases);
+
+        if (!name) {
+            return res.redirect('/community/breeds?error=Name is required');
+        }
+        const taken = await findBreedByName(req.communityId, [name, code, ...aliases], breed._id);
+        if (taken) {
+            return res.redirect(`/community/breeds?error=${encodeURIComponent(`Already known as ${taken.name}`)}`);
+        }
+
+        const renamed = breed.name !== name;
+        breed.set({ name, code, aliases });
+        await breed.save();
+        if (renamed) {
+            await rewriteBreed(req.communityId, breed._id, breed);
+        }
+
+        res.redirect('/community/breeds?success=Breed updated');
+
+    } catch (error) {
+        console.error('Update breed error:', error);
+        res.redirect('/community/breeds?error=Failed to update breed');
+    }
+});
+
+/**
+ * POST /community/breeds/:id/merge - Merge a breed into another one
+ * Its name, code and aliases become aliases of the kept breed
+ */
+router.post('/breeds/:id/merge', isAdmin, async (req, res) => {
+    try {
+        const Breed = mongoose.model('Breed');
+        const [breed, into] = await Promise.all([
+            Breed.findOne({ _id: req.params.id, community: req.communityId }).lean(),
+            mongoose.isValidObjectId(req.body.into) ? Breed.findOne({ _id: req.body.into, community: req.communityId }) : null
+        ]);
+
+        if (!breed || !into) {
+            return res.redirect('/community/breeds?error=Breed not found');
+        }
+        if (String(breed._id) === String(into._id)) {
+            return res.redirect('/community/breeds?error=Choose another breed to merge into');
+        }
+
+        into.aliases = parseAliases([...into.aliases, breed.name, breed.code, ...(breed.aliases || [])].filter(Boolean).join(','));
+        await into.save();
+        await rewriteBreed(req.communityId, breed._id, into);
+        await Breed.deleteOne({ _id: breed._id });
+
+        res.redirect(`/community/breeds?success=${encodeURIComponent(`${breed.name} merged into ${into.name}`)}`);
+
+    } catch (error) {
+        console.error('Merge breed error:', error);
+        res.redirect('/community/breeds?error=Failed to merge breed');
+    }
+});
+
+/**
+ * POST /community/breeds/:id/delete - Delete a breed no animal is recorded with
+ */
+router.post('/breeds/:id/delete', isAdmin, async (req, res) => {
+    try {
+        if ((await countByBreed(req.communityId)).get(String(req.params.id))) {
+            return res.redirect('/community/breeds?error=Animals are recorded with this breed; merge it into another breed instead');
+        }
+
+        const result = await mongoose.model('Breed').deleteOne({ _id: req.params.id, community: req.communityId });
+
+        if (!result.deletedCount) {
+            return res.redirect('/community/breeds?error=Breed not found');
+        }
+
+        res.redirect('/community/breeds?success=Breed deleted');
+
+    } catch (error) {
+        console.error('Delete breed error:', error);
+        res.redirect('/community/breeds?error=Failed to delete breed');
+    }
+});
+
+// ============== GENETIC EVALUATIONS ==============
+
+/**
+ * GET /community/genetics - Import genetic evaluations and set the genetic index
+ */
+router.get('/genetics', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const GeneticEvaluation = mongoose.model('GeneticEvaluation');
+        const [community, settings, evaluations] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            mongoose.model('Settings').findOne({ community: req.communityId }).lean(),
+            GeneticEvaluation.find({ community: req.communityId }).sort({ date: -1 }).lean()
+        ]);
+        const weights = settings?.geneticIndex || [];
+
+        // Latest evaluation of each animal, best index first
+        const latest = new Map();
+        evaluations.forEach(e => { if (!latest.has(String(e.entityId))) latest.set(String(e.entityId), e); });
+        const [cows, bulls] = await Promise.all([
+            mongoose.model('Cow').find({ _id: { $in: [...latest.values()].filter(e => e.entityType === 'cow').map(e => e.entityId) } }).select('cowNumber cowName').lean(),
+            mongoose.model('Bull').find({ _id: { $in: [...latest.values()].filter(e => e.entityType === 'bull').map(e => e.entityId) } }).select('bullNumber bullName').lean()
+        ]);
+        const names = new Map([
+            ...cows.map(c => [String(c._id), c.cowName || c.cowNumber]),
+            ...bulls.map(b => [String(b._id), b.bullName || b.bullNumber])
+        ]);
+        const ranking = [...latest.values()]
+            .map(e => ({ ...e, name: names.get(String(e.entityId)) || '', index: GeneticEvaluation.score(e.traits, weights) }))
+            .sort((a, b) => (a.index == null) - (b.index == null) || (b.index || 0) - (a.index || 0) || new Date(b.date) - new Date(a.date));
+
+        // Every trait seen in the imports, so each can be given a weight
+        const traits = new Map(weights.map(w => [w.trait.toLowerCase(), { trait: w.trait, weight: w.weight }]));
+        evaluations.forEach(e => e.traits.forEach(t => {
+            if (!traits.has(t.trait.toLowerCase())) traits.set(t.trait.toLowerCase(), { trait: t.trait, weight: null });
+        }));
+
+        res.render('community/genetics', {
+            title: 'Genetic Evaluations',
+            community,
+            ranking,
+            traits: [...traits.values()],
+            success: req.query.success || null,
+            error: req.query.error || null
+        });
+
+    } catch (error) {
+        console.error('Genetics page error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load genetic evaluations.',
+            error: { status: 500 }
+        });
+    }
+});
+
+/**
+ * POST /community/genetics/import - Import a CSV of genetic evaluations
+ * Rows are matched to bulls by bullNumber and to cows by cowNumber; importing the same animal, date
+ * and source again replaces the earlier values
+ */
+router.post('/genetics/import', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const GeneticEvaluation = mongoose.model('GeneticEvaluation');
+        const { rows, errors } = GeneticEvaluation.parseCsv(req.body.csv);
+
+        if (!rows.length) {
+            return res.redirect(`/community/genetics?error=${encodeURIComponent(['No evaluations found in the file', ...errors.slice(0, 5)].join('. '))}`);
+        }
+
+        const defaultDate = req.body.date ? new Date(req.body.date) : new Date();
+        if (isNaN(defaultDate.getTime())) {
+            return res.redirect('/community/genetics?error=Invalid evaluation date');
+        }
+        const defaultSource = String(req.body.source || '').trim();
+
+        const [cows, bulls] = await Promise.all([
+            mongoose.model('Cow').find({ community: req.communityId, cowNumber: { $nin: [null, ''] } }).select('cowNumber').lean(),
+            mongoose.model('Bull').find({ community: req.communityId, bullNumber: { $nin: [null, ''] } }).select('bullNumber').lean()
+        ]);
+        const byNumber = {
+            cow: new Map(cows.map(c => [c.cowNumber.trim().toLowerCase(), c._id])),
+            bull: new Map(bulls.map(b => [b.bullNumber.trim().toLowerCase(), b._id]))
+        };
+
+        let imported = 0;
+        const unmatched = [];
+        for (const row of rows) {
+            const entityId = byNumber[row.entityType].get(row.number.toLowerCase());
+            const date = row.date ? new Date(row.date) : defaultDate;
+            if (!entityId) {
+                unmatched.push(row.number);
+                continue;
+            }
+            if (isNaN(date.getTime())) {
+                errors.push(`Line ${row.line}: invalid date`);
+                continue;
+            }
+            const source = row.source || defaultSource;
+            await GeneticEvaluation.updateOne(
+                { community: req.communityId, entityType: row.entityType, entityId, date, source },
+                { $set: { traits: row.traits, reliability: isNaN(row.reliability) ? null : row.reliability } },
+                { upsert: true }
+            );
+            imported++;
+        }
+
+        const notes = [`${imported} evaluation(s) imported`];
+        if (unmatched.length) notes.push(`no animal found for ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ` and ${unmatched.length - 10} more` : ''}`);
+        if (errors.length) notes.push(`${errors.length} line(s) skipped (${errors.slice(0, 3).join('; ')})`);
+
+        res.redirect(`/community/genetics?${imported ? 'success' : 'error'}=${encodeURIComponent(notes.join('; '))}`);
+
+    } catch (error) {
+        console.error('Import genetics error:', error);
+        res.redirect('/community/genetics?error=Failed to import genetic evaluations');
+    }
+});
+
+/**
+ * POST /community/genetics/index - Save the trait weights of the genetic index
+ */
+router.post('/genetics/index', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const geneticIndex = Object.values(req.body.traits || {})
+            .map(t => ({ trait: String(t.trait || '').trim(), weight: Number(t.weight) }))
+            .filter(t => t.trait && t.weight);
+
+        await mongoose.model('Settings').updateOne(
+            { community: req.communityId },
+            { $set: { geneticIndex } },
+            { upsert: true }
+        );
+
+        res.redirect('/community/genetics?success=Genetic index saved');
+
+    } catch (error) {
+        console.error('Save genetic index error:', error);
+        res.redirect('/community/genetics?error=Failed to save genetic index');
+    }
+});
+
+// ============== REPRODUCTION REPORT ==============
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reproductive KPIs for the herd over [from, to), overall, by month and by sire.
+ * A service is a conception when it was confirmed pregnant or the pregnancy was later
+ * lost (recording a loss clears confirmedPregnant but keeps pregnancyLoss). Services
+ * still waiting for a pregnancy check are left out of the rates.
+ */
+function buildReproductionKpis({ cows, inseminations, calvings, audits, settings }, from, to) {
+    const vwpDays = settings.postpartumInseminationStartDays != null ? settings.postpartumInseminationStartDays : 45;
+    const gestationDays = settings.gestationDays || 283;
+    const monthKey = d => new Date(d).toISOString().slice(0, 7);
+    const rate = (n, d) => d > 0 ? Math.round(n / d * 1000) / 10 : null;
+    const avg = (arr, digits = 0) => arr.length ? Number((arr.reduce((s, v) => s + v, 0) / arr.length).toFixed(digits)) : null;
+    const inWindow = d => d >= from && d < to;
+    const emptyBucket = () => ({ services: 0, resolved: 0, conceptions: 0, losses: 0, firstResolved: 0, firstConceptions: 0, daysOpen: [], calvingIntervals: [], heiferAges: [], eligible: 0, pregnancies: 0 });
+
+    const months = [];
+    for (let d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)); d < to; d.setUTCMonth(d.getUTCMonth() + 1)) {
+        months.push(d.toISOString().slice(0, 7));
+    }
+    const total = emptyBucket();
+    const byMonth = Object.fromEntries(months.map(m => [m, emptyBucket()]));
+    const bySire = {};
+
+    // Calving dates per cow from the calving history; cows recorded before it existed fall back to
+    // their calving audits and lastCalving
+    const calvingsByCow = {};
+    calvings.forEach(c => {
+        const k = String(c.cowId);
+        (calvingsByCow[k] = calvingsByCow[k] || []).push(new Date(c.date));
+    });
+    cows.forEach(cow => {
+        const k = String(cow._id);
+        if (calvingsByCow[k]) return;
+        const dates = audits.filter(a => String(a.cowId) === k && a.payload && a.payload.to).map(a => new Date(a.payload.to));
+        if (cow.lastCalving) dates.push(new Date(cow.lastCalving));
+        const days = [...new Set(dates.filter(d => !isNaN(d.getTime())).map(d => d.toISOString().slice(0, 10)))];
+        if (days.length) calvingsByCow[k] = days.map(d => new Date(d));
+    });
+    Object.values(calvingsByCow).forEach(list => list.sort((a, b) => a - b));
+
+    const servicesByCow = {};
+    inseminations.forEach(i => {
+        const k = String(i.cowId);
+        (servicesByCow[k] = servicesByCow[k] || []).push(i);
+    });
+    Object.values(servicesByCow).forEach(list => list.sort((a, b) => new Date(a.date) - new Date(b.date)));
+
+    const previousCalving = (cowId, date) => {
+        const list = calvingsByCow[cowId] || [];
+        let prev = null;
+        for (const c of list) { if (c < date) prev = c; else break; }
+        return prev;
+    };
+    const conceived = s => !!(s.confirmedPregnant || s.pregnancyLoss);
+
+    // Services: conception rates, services per conception, days open, heifer age at first breeding
+    const cowById = new Map(cows.map(c => [String(c._id), c]));
+    Object.entries(servicesByCow).forEach(([cowId, services]) => {
+        const cow = cowById.get(cowId);
+        let lastPeriod;
+        services.forEach((s, idx) => {
+            const date = new Date(s.date);
+            const prevCalving = previousCalving(cowId, date);
+            const period = prevCalving ? prevCalving.getTime() : 0;
+            const isFirst = period !== lastPeriod;
+            lastPeriod = period;
+            if (!inWindow(date)) return;
+
+            const isConception = conceived(s);
+            const resolved = isConception || !!s.failed;
+            const sireKey = s.sireBullNumber || '';
+            const sire = bySire[sireKey] = bySire[sireKey] || { sireBullNumber: s.sireBullNumber || '', sireBullName: s.sireBullName || '', ...emptyBucket() };
+            [total, byMonth[monthKey(date)], sire].forEach(b => {
+                if (!b) return;
+                b.services++;
+                if (resolved) b.resolved++;
+                if (isConception) b.conceptions++;
+                if (s.pregnancyLoss) b.losses++;
+                if (isFirst && resolved) b.firstResolved++;
+                if (isFirst && isConception) b.firstConceptions++;
+            });
+            if (isConception && prevCalving) {
+                const days = Math.round((date - prevCalving) / DAY_MS);
+                total.daysOpen.push(days);
+                if (byMonth[monthKey(date)]) byMonth[monthKey(date)].daysOpen.push(days);
+            }
+            if (idx === 0 && !prevCalving && cow && cow.dob) {
+                const ageMonths = (date - new Date(cow.dob)) / DAY_MS / 30.4;
+                total.heiferAges.push(ageMonths);
+                if (byMonth[monthKey(date)]) byMonth[monthKey(date)].heiferAges.push(ageMonths);
+            }
+        });
+    });
+
+    // Calving intervals, dated by the later calving
+    Object.values(calvingsByCow).forEach(list => {
+        for (let i = 1; i < list.length; i++) {
+            if (!inWindow(list[i])) continue;
+            const days = Math.round((list[i] - list[i - 1]) / DAY_MS);
+            total.calvingIntervals.push(days);
+            if (byMonth[monthKey(list[i])]) byMonth[monthKey(list[i])].calvingIntervals.push(days);
+        }
+    });
+
+    // 21-day pregnancy rate: cows open and past the voluntary waiting period at the start of each
+    // complete 21-day cycle, against the conceptions in that cycle
+    for (let start = new Date(from); start.getTime() + 21 * DAY_MS <= to.getTime(); start = new Date(start.getTime() + 21 * DAY_MS)) {
+        const end = new Date(start.getTime() + 21 * DAY_MS);
+        const bucket = byMonth[monthKey(start)];
+        cows.forEach(cow => {
+            const cowId = String(cow._id);
+            if (cow.dob && new Date(cow.dob) > start) return;
+            // Cows that left the herd stop counting from their exit date
+            if (cow.exitedAt && new Date(cow.exitedAt) <= start) return;
+            const prevCalving = previousCalving(cowId, start);
+            if (prevCalving && (start - prevCalving) < vwpDays * DAY_MS) return;
+            // Calving within a gestation of the cycle start means she was already pregnant
+            const nextCalving = (calvingsByCow[cowId] || []).find(c => c >= start);
+            if (nextCalving && (nextCalving - start) < gestationDays * DAY_MS) return;
+            const services = servicesByCow[cowId] || [];
+            const pregnant = services.some(s => {
+                const d = new Date(s.date);
+                if (d >= start || (prevCalving && d <= prevCalving) || !conceived(s)) return false;
+                return !(s.pregnancyLoss && new Date(s.pregnancyLoss.date) <= start);
+            });
+            if (pregnant) return;
+            const conceivedNow = services.some(s => { const d = new Date(s.date); return d >= start && d < end && conceived(s); });
+            [total, bucket].forEach(b => {
+                if (!b) return;
+                b.eligible++;
+                if (conceivedNow) b.pregnancies++;
+            });
+        });
+    }
+
+    const summarize = b => ({
+        services: b.services,
+        resolved: b.resolved,
+        conceptions: b.conceptions,
+        losses: b.losses,
+        conceptionRate: rate(b.conceptions, b.resolved),
+        firstServiceConceptionRate: rate(b.firstConceptions, b.firstResolved),
+        servicesPerConception: b.conceptions ? Math.round(b.resolved / b.conceptions * 100) / 100 : null,
+        avgDaysOpen: avg(b.daysOpen),
+        avgCalvingInterval: avg(b.calvingIntervals),
+        heiferAgeAtFirstBreeding: avg(b.heiferAges, 1),
+        pregnancyRate21: rate(b.pregnancies, b.eligible),
+        eligibleCycles: b.eligible
+    });
+
+    return {
+        summary: summarize(total),
+        byMonth: months.map(m => ({ month: m, ...summarize(byMonth[m]) })),
+        bySire: Object.values(bySire)
+            .map(s => ({ sireBullNumber: s.sireBullNumber, sireBullName: s.sireBullName, ...summarize(s) }))
+            .sort((a, b) => b.services - a.services)
+    };
+}
+
+/**
+ * GET /community/reproduction - Herd reproductive performance report
+ * ?months= sets the reporting window (default 12)
+ */
+router.get('/reproduction', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const Cow = mongoose.model('Cow');
+        const Insemination = mongoose.model('Insemination');
+        const Calving = mongoose.model('Calving');
+        const Audit = mongoose.model('Audit');
+        const Settings = mongoose.model('Settings');
+
+        const months = [6, 12, 24, 36].includes(parseInt(req.query.months)) ? parseInt(req.query.months) : 12;
+        const to = new Date();
+        const from = new Date(to);
+        from.setMonth(from.getMonth() - months);
+
+        const [community, cows, inseminations, calvings, audits, settings] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            Cow.find({ community: req.communityId }).lean(),
+            Insemination.find({ community: req.communityId }).lean(),
+            Calving.find({ community: req.communityId }).lean(),
+            Audit.find({ community: req.communityId, action: 'cow.calving.set' }).lean(),
+            Settings.findOne({ community: req.communityId }).lean()
+        ]);
+
+        const report = buildReproductionKpis({ cows, inseminations, calvings, audits, settings: settings || {} }, from, to);
+
+        res.render('community/reproduction', {
+            title: 'Reproduction Report',
+            community,
+            months,
+            from,
+            to,
+            report
+        });
+
+    } catch (error) {
+        console.error('Reproduction report error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load reproduction report.',
+            error: { status: 500 }
+        });
+    }
+});
+
+// ============== EXITS & CULL REASONS ==============
+
+/**
+ * Herd exits over [from, to): counts by exit type and month, and the reasons behind culls and
+ * deaths with the average age (and parity for cows) at exit. The cow cull rate divides the
+ * culled and dead cows by the cows in the herd at some point during the window.
+ */
+function buildExitReport({ exits, cows, calvings, reasons }, from, to) {
+    const types = ['sold', 'culled', 'died', 'transferred'];
+    const monthKey = d => new Date(d).toISOString().slice(0, 7);
+    const rate = (n, d) => d > 0 ? Math.round(n / d * 1000) / 10 : null;
+    const avg = (arr, digits = 0) => arr.length ? Number((arr.reduce((s, v) => s + v, 0) / arr.length).toFixed(digits)) : null;
+    const inWindow = exits.filter(e => new Date(e.date) >= from && new Date(e.date) < to);
+    const cowById = new Map(cows.map(c => [String(c._id), c]));
+    const calvingsByCow = {};
+    calvings.forEach(c => { (calvingsByCow[String(c.cowId)] = calvingsByCow[String(c.cowId)] || []).push(new Date(c.date)); });
+
+    const months = [];
+    for (let d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)); d < to; d.setUTCMonth(d.getUTCMonth() + 1)) {
+        months.push(d.toISOString().slice(0, 7));
+    }
+    const byMonth = Object.fromEntries(months.map(m => [m, Object.fromEntries(types.map(t => [t, 0]))]));
+    const byType = Object.fromEntries(types.map(t => [t, 0]));
+    const byReason = {};
+    let revenue = 0;
+    inWindow.forEach(e => {
+        byType[e.type]++;
+        if (byMonth[monthKey(e.date)]) byMonth[monthKey(e.date)][e.type]++;
+        if (e.type === 'sold' && typeof e.price === 'number') revenue += e.price;
+        if (e.type !== 'culled' && e.type !== 'died') return;
+        const key = e.reason || 'unknown';
+        const r = byReason[key] = byReason[key] || { reason: key, label: reasons[key] || key, culled: 0, died: 0, ages: [], parities: [] };
+        r[e.type]++;
+        const animal = e.entityType === 'cow' ? cowById.get(String(e.entityId)) : null;
+        if (animal && animal.dob) r.ages.push((new Date(e.date) - new Date(animal.dob)) / (365.25 * DAY_MS));
+        if (e.entityType === 'cow') r.parities.push((calvingsByCow[String(e.entityId)] || []).filter(d => d <= new Date(e.date)).length);
+    });
+    const involuntary = byType.culled + byType.died;
+    // Cows present at some point in the window: born before its end and not gone before its start
+    const cowsAtRisk = cows.filter(c => (!c.dob || new Date(c.dob) < to) && (!c.exitedAt || new Date(c.exitedAt) >= from)).length;
+    const cowLosses = inWindow.filter(e => e.entityType === 'cow' && (e.type === 'culled' || e.type === 'died')).length;
+
+    return {
+        total: inWindow.length,
+        byType,
+        revenue: Math.round(revenue * 100) / 100,
+        cowsAtRisk,
+        cowCullRate: rate(cowLosses, cowsAtRisk),
+        reasons: Object.values(byReason)
+            .map(r => ({ reason: r.reason, label: r.label, culled: r.culled, died: r.died, total: r.culled + r.died, share: rate(r.culled + r.died, involuntary), avgAgeYears: avg(r.ages, 1), avgParity: avg(r.parities, 1) }))
+            .sort((a, b) => b.total - a.total),
+        byMonth: months.map(m => ({ month: m, ...byMonth[m] })),
+        exits: inWindow
+    };
+}
+
+/**
+ * GET /community/exits - Herd exits and cull-reason analysis
+ * ?months= sets the reporting window (default 12)
+ */
+router.get('/exits', isAdmin, async (req, res) => {
+    try {
+        if (!req.communityId) {
+            return res.redirect('/select-community');
+        }
+
+        const Cow = mongoose.model('Cow');
+        const Calving = mongoose.model('Calving');
+        const ExitEvent = mongoose.model('ExitEvent');
+
+        const months = [6, 12, 24, 36].includes(parseInt(req.query.months)) ? parseInt(req.query.months) : 12;
+        const to = new Date();
+        const from = new Date(to);
+        from.setMonth(from.getMonth() - months);
+
+        const [community, exits, cows, calvings] = await Promise.all([
+            Community.findById(req.communityId).lean(),
+            ExitEvent.find({ community: req.communityId }).sort({ date: -1 }).lean(),
+            Cow.find({ community: req.communityId }).lean(),
+            Calving.find({ community: req.communityId }).lean()
+        ]);
+
+        const report = buildExitReport({ exits, cows, calvings, reasons: ExitEvent.reasons }, from, to);
+
+        res.render('community/exits', {
+            title: 'Herd Exits',
+            community,
+            months,
+            from,
+            to,
+            report,
+            reasons: ExitEvent.reasons
+        });
+
+    } catch (error) {
+        console.error('Exit report error:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Failed to load exit report.',
+            error: { status: 500 }
+        });
+    }
+});
+
 // ============== IMPORT / EXPORT ROUTES ==============
 
 /**
@@ -736,6 +1956,7 @@ router.get('/export/:type', isAdmin, async (req, res) => {
         const Audit = mongoose.model('Audit');
         const Settings = mongoose.model('Settings');
         const Confirmation = mongoose.model('Confirmation');
+        const Calving = mongoose.model('Calving');
 
         const exportData = {
             exportedAt: new Date().toISOString(),
@@ -772,9 +1993,11 @@ router.get('/export/:type', isAdmin, async (req, res) => {
             const inseminations = await Insemination.find({ cowId: { $in: cowIds } }).lean();
             const audits = await Audit.find({ cowId: { $in: cowIds } }).lean();
             const cowConfirmations = await Confirmation.find({ entityType: 'cow', entityId: { $in: cowIds } }).lean();
+            const calvings = await Calving.find({ cowId: { $in: cowIds } }).sort({ date: 1 }).lean();
 
-            // Group inseminations, audits, and confirmations by cowId
+            // Group inseminations, calvings, audits, and confirmations by cowId
             const insemByCow = {};
+            const calvingByCow = {};
             const auditByCow = {};
             const confirmByCow = {};
             inseminations.forEach(i => {
@@ -785,7 +2008,24 @@ router.get('/export/:type', isAdmin, async (req, res) => {
                     confirmedPregnant: i.confirmedPregnant,
                     failed: i.failed,
                     forced: i.forced,
-                    notes: i.notes
+                    notes: i.notes,
+                    sireBullNumber: i.sireBullNumber,
+                    sireBullName: i.sireBullName,
+                    sireBullBreed: i.sireBullBreed,
+                    strawCode: i.strawCode,
+                    technician: i.technician
+                });
+            });
+            calvings.forEach(c => {
+                const k = c.cowId.toString();
+                if (!calvingByCow[k]) calvingByCow[k] = [];
+                calvingByCow[k].push({
+                    date: c.date,
+                    calfCount: (c.calves || []).length,
+                    sireBullNumber: c.sireBullNumber,
+                    sireBullName: c.sireBullName,
+                    notes: c.notes,
+                    source: c.source
                 });
             });
             audits.forEach(a => {
@@ -810,24 +2050,34 @@ router.get('/export/:type', isAdmin, async (req, res) => {
                 });
             });
 
-            exportData.cows = cows.map(c => ({
-                cowNumber: c.cowNumber,
-                cowName: c.cowName,
-                race: c.race,
-                dob: c.dob,
-                lastCalving: c.lastCalving,
-                notes: c.notes,
-                profileImageUrl: c.profileImageUrl,
-                motherCowNumber: c.motherCowNumber,
-                motherCowName: c.motherCowName,
-                motherCowBreed: c.motherCowBreed,
-                sireBullNumber: c.sireBullNumber,
-                sireBullName: c.sireBullName,
-                sireBullBreed: c.sireBullBreed,
-                inseminations: insemByCow[c._id.toString()] || [],
-                history: auditByCow[c._id.toString()] || [],
-                confirmations: confirmByCow[c._id.toString()] || []
-            }));
+            exportData.cows = cows.map(c => {
+                const cowCalvings = calvingByCow[c._id.toString()] || [];
+                const summary = Calving.summarize(c, cowCalvings);
+                return {
+                    cowNumber: c.cowNumber,
+                    cowName: c.cowName,
+                    race: c.race,
+                    breeds: (c.breeds || []).map(x => ({ name: x.name, pct: x.pct })),
+                    dob: c.dob,
+                    lastCalving: c.lastCalving,
+                    notes: c.notes,
+                    profileImageUrl: c.profileImageUrl,
+                    motherCowNumber: c.motherCowNumber,
+                    motherCowName: c.motherCowName,
+                    motherCowBreed: c.motherCowBreed,
+                    sireBullNumber: c.sireBullNumber,
+                    sireBullName: c.sireBullName,
+                    sireBullBreed: c.sireBullBreed,
+                    parity: summary.parity,
+                    ageAtFirstCalvingDays: summary.ageAtFirstCalvingDays,
+                    calvingIntervalDays: summary.calvingIntervalDays,
+                    avgCalvingIntervalDays: summary.avgCalvingIntervalDays,
+                    calvings: cowCalvings,
+                    inseminations: insemByCow[c._id.toString()] || [],
+                    history: auditByCow[c._id.toString()] || [],
+                    confirmations: confirmByCow[c._id.toString()] || []
+                };
+            });
         }
 
         if (type === 'all' || type === 'bulls') {
@@ -853,6 +2103,7 @@ router.get('/export/:type', isAdmin, async (req, res) => {
                 bullNumber: b.bullNumber,
                 bullName: b.bullName,
                 race: b.race,
+                breeds: (b.breeds || []).map(x => ({ name: x.name, pct: x.pct })),
                 dob: b.dob,
                 notes: b.notes,
                 profileImageUrl: b.profileImageUrl,
@@ -889,6 +2140,7 @@ router.get('/export/:type', isAdmin, async (req, res) => {
             exportData.calves = calves.map(c => ({
                 calfName: c.calfName,
                 calfBreed: c.calfBreed,
+                breeds: (c.breeds || []).map(x => ({ name: x.name, pct: x.pct })),
                 birthDate: c.birthDate,
                 gender: c.gender,
                 status: c.status,
@@ -1085,6 +2337,7 @@ router.post('/import/execute', isAdmin, async (req, res) => {
         const Insemination = mongoose.model('Insemination');
         const Audit = mongoose.model('Audit');
         const Confirmation = mongoose.model('Confirmation');
+        const Calving = mongoose.model('Calving');
         const Settings = mongoose.model('Settings');
 
         const results = {
@@ -1152,6 +2405,10 @@ router.post('/import/execute', isAdmin, async (req, res) => {
                             dob: cow.dob ? new Date(cow.dob) : undefined,
                             lastCalving: cow.lastCalving ? new Date(cow.lastCalving) : undefined,
                             notes: cow.notes,
+                            // Relinked from the parent numbers and recomposed from the breed text once the import is done
+                            mother: null,
+                            sire: null,
+                            breeds: [],
                             motherCowNumber: cow.motherCowNumber,
                             motherCowName: cow.motherCowName,
                             motherCowBreed: cow.motherCowBreed,
@@ -1173,7 +2430,29 @@ router.post('/import/execute', isAdmin, async (req, res) => {
                                     confirmedPregnant: ins.confirmedPregnant,
                                     failed: ins.failed,
                                     forced: ins.forced,
-                                    notes: ins.notes
+                                    notes: ins.notes,
+                                    sireBullNumber: ins.sireBullNumber,
+                                    sireBullName: ins.sireBullName,
+                                    sireBullBreed: ins.sireBullBreed,
+                                    strawCode: ins.strawCode,
+                                    technician: ins.technician
+                                });
+                            }
+                        }
+
+                        // Replace calving history if included (handle both _calvings and calvings)
+                        const cowCalvings = cow._calvings || cow.calvings || [];
+                        if (cowCalvings.length > 0) {
+                            await Calving.deleteMany({ cowId: existing._id });
+                            for (const cv of cowCalvings) {
+                                await Calving.create({
+                                    community: communityId,
+                                    cowId: existing._id,
+                                    date: new Date(cv.date),
+                                    sireBullNumber: cv.sireBullNumber,
+                                    sireBullName: cv.sireBullName,
+                                    notes: cv.notes,
+                                    source: 'import'
                                 });
                             }
                         }
@@ -1248,11 +2527,30 @@ router.post('/import/execute', isAdmin, async (req, res) => {
                                 confirmedPregnant: ins.confirmedPregnant,
                                 failed: ins.failed,
                                 forced: ins.forced,
-                                notes: ins.notes
+                                notes: ins.notes,
+                                sireBullNumber: ins.sireBullNumber,
+                                sireBullName: ins.sireBullName,
+                                sireBullBreed: ins.sireBullBreed,
+                                strawCode: ins.strawCode,
+                                technician: ins.technician
                             });
                         }
                     }
 
+                    // Create calving history (handle both _calvings and calvings)
+                    const newCowCalvings = cow._calvings || cow.calvings || [];
+                    for (const cv of newCowCalvings) {
+                        await Calving.create({
+                            community: communityId,
+                            cowId: newCow._id,
+                            date: new Date(cv.date),
+                            sireBullNumber: cv.sireBullNumber,
+                            sireBullName: cv.sireBullName,
+                            notes: cv.notes,
+                            source: 'import'
+                        });
+                    }
+
                     // Create history/audits (handle both _audits and history)
                     const newCowAudits = cow._audits || cow.history || [];
                     console.log(`[Import] New cow ${cow.cowName || cow.cowNumber} - importing ${newCowAudits.length} audits`);
@@ -1316,6 +2614,10 @@ router.post('/import/execute', isAdmin, async (req, res) => {
                             race: bull.race,
                             dob: bull.dob ? new Date(bull.dob) : undefined,
                             notes: bull.notes,
+                            // Relinked from the parent numbers and recomposed from the breed text once the import is done
+                            mother: null,
+                            sire: null,
+                            breeds: [],
                             motherCowNumber: bull.motherCowNumber,
                             motherCowName: bull.motherCowName,
                             motherCowBreed: bull.motherCowBreed,
@@ -1409,6 +2711,10 @@ router.post('/import/execute', isAdmin, async (req, res) => {
                             gender: calf.gender,
                             status: calf.status,
                             notes: calf.notes,
+                            // Relinked from the parent numbers and recomposed from the breed text once the import is done
+                            mother: null,
+                            sire: null,
+                            breeds: [],
                             motherCowNumber: calf.motherCowNumber,
                             motherCowName: calf.motherCowName,
                             motherCowBreed: calf.motherCowBreed,
@@ -1484,6 +2790,10 @@ router.post('/import/execute', isAdmin, async (req, res) => {
             }
         }
 
+        // Link imported parents by number within this community
+        results.pedigree = await Cow.linkPedigree({ community: communityId });
+        results.breeds = await mongoose.model('Breed').migrate({ community: communityId });
+
         res.json({ success: true, results });
 
     } catch (error) {